@@ -1,55 +1,196 @@
 // World map data from Natural Earth (ne_110m_admin_0_countries.geojson)
 
+// Minimal binary min-heap used by the itinerary search to expand the cheapest partial path first
+class RouteQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        this.items.push(item);
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].cost <= this.items[index].cost) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.items[left].cost < this.items[smallest].cost) smallest = left;
+                if (right < this.items.length && this.items[right].cost < this.items[smallest].cost) smallest = right;
+                if (smallest === index) break;
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
 class FlightPathVisualizer {
     constructor() {
         this.worldMap = null;
-        this.drMap = null;
+        this.insetMap = null;
         this.flightData = null;
-        this.drGeoData = null;
+        this.insetGeoData = null;
         this.currentPath = null;
         this.currentMarkers = [];
-        this.drMarkers = [];
+        this.insetMarkers = new Map(); // Airport IATA -> circle marker on the inset map
         this.currentShuttleLine = null;
+        this.transferRoutes = new Map(); // Airport IATA -> road polyline [[lat, lng], ...] to the property
+        this.TRANSFER_MODES = { shuttle: { label: 'Shuttle', icon: '🚐' } }; // Labeled from the site config, extended from the data file
+        this.groundTransfers = {}; // Airport IATA -> mode -> {duration_minutes, price, schedule, ...}
+        this.transferCurrency = 'USD';
+        this.transferMode = 'shuttle';
+        this.TRIP_MODES = {
+            property: 'To the property', // Relabeled from the site config
+            point_to_point: 'Between any two airports'
+        };
+        this.tripMode = 'property';
+        this.pointDestination = null; // Destination IATA picked in point-to-point mode
         this.worldLayer = null;
         this.LABEL_SEPARATION_PIXELS = 35; // Configurable label separation distance
+        this.currentMarkerInfos = []; // Route stops whose labels are placed on the map
+        this.currentLabelLayers = []; // Placed labels and their leader lines
+        this.labelSizeCache = new Map(); // "type|city" -> measured label size in pixels
+        this.RESIZE_DEBOUNCE_MS = 200; // Wait for resizing/rotation to settle before re-laying out
+        this.resizeTimeout = null;
         this.selectedOrigin = null;
         this.selectedRoute = null;
         this.zoomCache = new Map(); // Cache zoom levels for route combinations
-
-        // Fixed Dominican Republic destinations with coordinates
-        this.destinations = [
-            { name: 'Puerto Plata', country: 'Dominican Republic', iata: 'POP', coords: [19.7579, -70.5700] },
-            { name: 'Santiago', country: 'Dominican Republic', iata: 'STI', coords: [19.4062, -70.6046] },
-            { name: 'Santo Domingo', country: 'Dominican Republic', iata: 'SDQ', coords: [18.4296, -69.6689] },
-            { name: 'Punta Cana', country: 'Dominican Republic', iata: 'PUJ', coords: [18.5601, -68.3725] }
+        this.OPERATING_STATUSES = ['Current', 'New']; // Airline statuses that count as flying
+        this.showHistoricalService = false; // Show discontinued/suspended carriers greyed out
+        this.MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        this.selectedMonth = null; // Travel month index (0-11), null for any month
+        this.MAX_TRANSFERS = 2; // Connections allowed per itinerary (2 = up to three legs)
+        this.MAX_ROUTES_PER_COLUMN = 30; // Buttons shown per destination column
+        this.MAX_POPOVER_CARRIERS = 12; // Carriers named in an airport popover before the rest are counted
+        this.RANKING_STRATEGIES = {
+            efficiency: 'Best balance (time ÷ frequency)',
+            fastest: 'Fastest door-to-door',
+            frequency: 'Most frequent service',
+            'fewest-airlines': 'Fewest airlines'
+        };
+        this.rankingStrategy = 'efficiency';
+        this.CONNECTION_PREFERENCES = {
+            any: 'Any carriers',
+            prefer: 'Prefer same airline or alliance',
+            only: 'Same airline or alliance only'
+        };
+        this.connectionPreference = 'any';
+        this.airlineAliases = {}; // Airline name variant -> canonical carrier name
+        this.allianceByAirline = new Map(); // Canonical carrier name -> alliance name
+        // Carriers picked in the airline filter panel (canonical names); empty means no filter
+        this.airlineFilter = { mode: 'exclude', airlines: new Set() };
+        this.PATH_STYLES = {
+            geodesic: 'Great circle',
+            curved: 'Curved arc'
+        };
+        this.pathStyle = 'geodesic';
+        this.ARC_SAMPLE_POINTS = 64; // Points sampled along each flight arc
+        this.CURVE_BEND = 0.2; // Curved arc control point offset, as a fraction of the segment length
+        this.currentArcPoints = []; // Sampled [lat, lng] points of the drawn arcs, for map fitting
+        this.currentSegmentPoints = []; // Drawn arc points per flight segment, for the plane animation
+        this.PLANE_SEGMENT_MS = 2500; // Time the plane takes to fly one segment
+        this.PLANE_TRANSFER_PAUSE_MS = 800; // Pause at each transfer airport
+        // Animation is on unless the visitor has asked the OS for reduced motion
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.animateFlights = !this.reducedMotionQuery.matches;
+        this.planeMarker = null;
+        this.planeAnimationFrame = null;
+        this.planePauseTimeout = null;
+        this.overviewLayer = null; // Every direct route into the destination airports, drawn before an origin is picked
+        this.networkOverviewActive = false;
+        this.choroplethActive = false;
+        this.originIatas = []; // Every airport offered in the origin dropdown
+        this.exploreModeActive = false;
+        this.exploreLayer = null;
+        this.exploreZoomControl = null;
+        this.EXPLORE_CLUSTER_CELL_PIXELS = 40; // Airports closer than this on screen share a cluster
+        this.EXPLORE_CLUSTER_MAX_ZOOM = 6; // From this zoom on every airport gets its own marker
+        this.airportCountryLayers = null; // Airport IATA -> world layer polygon containing it, built on first use
+        // Door-to-door hour bands for the travel-time choropleth, quickest first
+        this.TRAVEL_TIME_BANDS = [
+            { maxHours: 6, color: 'rgb(16, 154, 72)' },
+            { maxHours: 9, color: 'rgb(94, 186, 96)' },
+            { maxHours: 12, color: 'rgb(176, 214, 112)' },
+            { maxHours: 16, color: 'rgb(240, 200, 96)' },
+            { maxHours: 20, color: 'rgb(222, 140, 64)' },
+            { maxHours: Infinity, color: 'rgb(146, 64, 14)' }
         ];
-
-        // Green Office location
-        this.greenOfficeLocation = {
-            name: 'Green Office Villas',
-            coords: [19.69397702287666, -70.35694318206437],
-            shuttleTimes: {
-                'Puerto Plata': 50,
-                'Santiago': 89,
-                'Santo Domingo': 222,
-                'Punta Cana': 329
-            }
+        this.NO_ROUTE_COLOR = 'rgb(220, 220, 220)';
+        this.bestTimesCache = new Map(); // "month|filter|transfer" -> best door-to-door times by airport
+        this.BEST_TIMES_CACHE_SIZE = 12; // Settings combinations kept before the oldest is dropped
+        this.CHOROPLETH_SLICE_MS = 12; // Search time per chunk before yielding to the browser
+        this.choroplethGeneration = 0; // Bumped per choropleth run, so superseded runs stop early
+        this.columnRoutes = new Map(); // Destination IATA -> [{route, button}] as displayed
+        // The selection is mirrored in the query string; parameters at these values are left out
+        this.URL_STATE_DEFAULTS = { trip: 'property', rank: 'efficiency', connections: 'any', transfer: 'shuttle' };
+        this.urlUpdateMode = 'push'; // 'push' a history entry, 'replace' the current one, or 'none' while restoring
+
+        // Layover estimates, replaced by data/connection_times.json when it loads
+        this.connectionTimes = {
+            default_layover_minutes: { domestic: 90, international: 150 },
+            hub_minimum_connection_minutes: {},
+            country_aliases: {}
         };
 
+        // The property, its arrival airports and branding come from a site config in data/sites
+        this.DEFAULT_SITE_ID = 'green-office';
+        this.siteConfig = null;
+        this.destinations = []; // Arrival airports: {name, country, iata, coords, image, transfer_minutes}
+        this.propertyLocation = null; // {name, shortName, coords}
+
         this.init();
     }
 
     async init() {
         try {
+            // Load the property, its destinations and branding
+            await this.loadSiteConfig();
+
             // Load flight data
             await this.loadFlightData();
 
+            // Load metro-area origin groups
+            await this.loadMetroAreas();
+
+            // Load layover estimates for connecting itineraries
+            await this.loadConnectionTimes();
+
+            // Load alliance membership for same-carrier connections
+            await this.loadAirlineAlliances();
+
+            // Load road alignments for the airport-to-office transfers
+            await this.loadTransferRoutes();
+
+            // Load ground transfer modes, schedules and prices
+            await this.loadGroundTransfers();
+
             // Initialize maps
             this.initMaps();
 
             // Load world map
             await this.loadWorldMap();
 
+            // Draw the inset with the arrival airports and the property
+            this.renderInsetMap();
+
             // Setup UI
             this.setupUI();
 
@@ -81,6 +222,294 @@ class FlightPathVisualizer {
         }).filter(item => item !== null); // Remove any failed parses
 
         console.log('Flight data loaded:', this.flightData.length, 'airport pairs');
+
+        // Build the indexed airport graph once so route lookups don't rescan the raw pairs
+        this.buildAirportGraph();
+    }
+
+    buildAirportGraph() {
+        this.airports = new Map(); // IATA -> {iata, city, country, coordinates, coords}
+        this.routeGraph = new Map(); // IATA -> Map(neighbor IATA -> leg metadata)
+        this.cityAirports = new Map(); // "City, Country" -> [IATA, ...] in first-seen order
+
+        this.flightData.forEach(airportPair => {
+            const airport1 = this.registerAirport(
+                airportPair.airport1_iata,
+                airportPair.airport1_city_name,
+                airportPair.airport1_country,
+                airportPair.airport1_coordinates
+            );
+            const airport2 = this.registerAirport(
+                airportPair.airport2_iata,
+                airportPair.airport2_city_name,
+                airportPair.airport2_country,
+                airportPair.airport2_coordinates
+            );
+
+            // Each pair is bidirectional, so both directions share the same leg metadata
+            const leg = {
+                flight_duration_minutes: airportPair.flight_duration_minutes,
+                airlines: airportPair.airlines
+            };
+
+            if (!this.routeGraph.get(airport1.iata).has(airport2.iata)) {
+                this.routeGraph.get(airport1.iata).set(airport2.iata, leg);
+            }
+            if (!this.routeGraph.get(airport2.iata).has(airport1.iata)) {
+                this.routeGraph.get(airport2.iata).set(airport1.iata, leg);
+            }
+        });
+
+        console.log('Airport graph built:', this.airports.size, 'airports');
+    }
+
+    registerAirport(iata, city, country, coordinates) {
+        // First record seen for an IATA code wins; later spelling variants only get a name alias
+        if (!this.airports.has(iata)) {
+            this.airports.set(iata, {
+                iata: iata,
+                city: city,
+                country: country,
+                coordinates: coordinates,
+                coords: this.parseCoordinates(coordinates)
+            });
+            this.routeGraph.set(iata, new Map());
+        }
+
+        const displayName = `${city}, ${country}`;
+        if (!this.cityAirports.has(displayName)) {
+            this.cityAirports.set(displayName, []);
+        }
+        const cityCodes = this.cityAirports.get(displayName);
+        if (!cityCodes.includes(iata)) {
+            cityCodes.push(iata);
+        }
+
+        return this.airports.get(iata);
+    }
+
+    // Helper function: Get the neighbor map (IATA -> leg) for an airport
+    getAirportNeighbors(iata) {
+        return this.routeGraph.get(iata) || new Map();
+    }
+
+    async loadMetroAreas() {
+        this.metroAreas = new Map(); // Metro id -> {id, name, airports}
+
+        try {
+            const response = await fetch('data/metro_areas.json');
+            if (!response.ok) {
+                throw new Error('Failed to load metro areas');
+            }
+
+            const metroData = await response.json();
+            metroData.metro_areas.forEach(metroArea => {
+                // Only keep airports that exist in the flight data
+                const airports = metroArea.airports.filter(iata => this.airports.has(iata));
+                if (airports.length > 1) {
+                    this.metroAreas.set(metroArea.id, { ...metroArea, airports });
+                }
+            });
+
+            console.log('Metro areas loaded:', this.metroAreas.size, 'groups');
+        } catch (error) {
+            // Metro groups are optional, individual airports still work without them
+            console.warn('Metro areas not available:', error);
+        }
+    }
+
+    async loadConnectionTimes() {
+        try {
+            const response = await fetch('data/connection_times.json');
+            if (!response.ok) {
+                throw new Error('Failed to load connection times');
+            }
+
+            this.connectionTimes = { ...this.connectionTimes, ...(await response.json()) };
+            console.log('Connection times loaded:', Object.keys(this.connectionTimes.hub_minimum_connection_minutes).length, 'hubs');
+        } catch (error) {
+            // Fall back to the built-in default layover estimates
+            console.warn('Connection times not available, using defaults:', error);
+        }
+    }
+
+    async loadAirlineAlliances() {
+        try {
+            const response = await fetch('data/airline_alliances.json');
+            if (!response.ok) {
+                throw new Error('Failed to load airline alliances');
+            }
+
+            const allianceData = await response.json();
+            this.airlineAliases = allianceData.airline_aliases || {};
+            Object.entries(allianceData.alliances).forEach(([allianceName, members]) => {
+                members.forEach(member => this.allianceByAirline.set(member, allianceName));
+            });
+
+            console.log('Airline alliances loaded:', this.allianceByAirline.size, 'member airlines');
+        } catch (error) {
+            // Without the table only same-airline connections are detected
+            console.warn('Airline alliances not available:', error);
+        }
+    }
+
+    // Site ids name files under data/sites: ?site= wins, then the page's data-site build option
+    getSiteId() {
+        const requested = new URLSearchParams(window.location.search).get('site') || document.body.dataset.site;
+        if (requested && /^[a-z0-9-]+$/.test(requested)) {
+            return requested;
+        }
+        return this.DEFAULT_SITE_ID;
+    }
+
+    async loadSiteConfig() {
+        const siteId = this.getSiteId();
+        const response = await fetch(`data/sites/${siteId}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load site config: ${siteId}`);
+        }
+
+        this.siteConfig = await response.json();
+        this.destinations = this.siteConfig.destinations;
+        this.propertyLocation = {
+            name: this.siteConfig.property.name,
+            shortName: this.siteConfig.property.short_name || this.siteConfig.property.name,
+            coords: this.siteConfig.property.coords
+        };
+        this.TRANSFER_MODES.shuttle.label = `${this.propertyLocation.shortName} Shuttle`;
+        this.TRIP_MODES.property = `To ${this.propertyLocation.shortName}`;
+
+        this.applySiteBranding();
+        this.renderDestinationColumns();
+
+        console.log('Site config loaded:', this.siteConfig.id, 'with', this.destinations.length, 'destinations');
+    }
+
+    applySiteBranding() {
+        const branding = this.siteConfig.branding;
+        document.title = branding.page_title;
+
+        const logo = document.getElementById('site-logo');
+        logo.src = branding.logo;
+        logo.alt = branding.logo_alt;
+
+        const imageElement = document.getElementById('destination-image');
+        imageElement.src = this.destinations[0].image;
+    }
+
+    // One column of route buttons per arrival airport, in config order
+    renderDestinationColumns() {
+        const destinations = this.getActiveDestinations();
+        const optionsGrid = document.getElementById('options-grid');
+        optionsGrid.style.setProperty('--destination-count', Math.max(destinations.length, 1));
+        optionsGrid.innerHTML = destinations.map(dest => `
+            <div class="destination-column">
+                <h4 class="destination-header">${dest.name}</h4>
+                <div class="flight-buttons" id="${this.getColumnId(dest.name)}"></div>
+            </div>
+        `).join('');
+    }
+
+    // Helper function: The destinations routes are searched to, depending on the trip mode
+    getActiveDestinations() {
+        if (this.tripMode !== 'point_to_point') {
+            return this.destinations;
+        }
+        return this.pointDestination ? [this.getAirportDestination(this.pointDestination)] : [];
+    }
+
+    // Helper function: Destination entry for any airport, preferring the site config's own
+    getAirportDestination(iata) {
+        const configured = this.destinations.find(dest => dest.iata === iata);
+        if (configured) {
+            return configured;
+        }
+
+        const airport = this.airports.get(iata);
+        return { name: airport.city, country: airport.country, iata: iata, coords: airport.coords };
+    }
+
+    // Helper function: Whether an airport is one of the property's arrival airports
+    isPropertyDestination(iata) {
+        return this.destinations.some(dest => dest.iata === iata);
+    }
+
+    // Helper function: The site logo sized for headings
+    createInlineLogo() {
+        const branding = this.siteConfig.branding;
+        return `<img src="${branding.logo}" class="inline-logo" alt="${branding.logo_alt}">`;
+    }
+
+    async loadTransferRoutes() {
+        if (!this.siteConfig.transfer_routes) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.siteConfig.transfer_routes);
+            if (!response.ok) {
+                throw new Error('Failed to load transfer routes');
+            }
+
+            const routeData = await response.json();
+            routeData.features.forEach(feature => {
+                // GeoJSON stores [lng, lat]; Leaflet wants [lat, lng]
+                const latLngs = feature.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+                this.transferRoutes.set(feature.properties.airport, latLngs);
+            });
+
+            console.log('Transfer routes loaded:', this.transferRoutes.size, 'airports');
+        } catch (error) {
+            // Without road alignments the transfer is drawn as a straight line
+            console.warn('Transfer routes not available:', error);
+        }
+    }
+
+    async loadGroundTransfers() {
+        // Until the data file loads, every airport has just the shuttle at its fixed time
+        this.destinations.forEach(dest => {
+            this.groundTransfers[dest.iata] = {
+                shuttle: { duration_minutes: dest.transfer_minutes || 0 }
+            };
+        });
+
+        if (!this.siteConfig.ground_transfers) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.siteConfig.ground_transfers);
+            if (!response.ok) {
+                throw new Error('Failed to load ground transfers');
+            }
+
+            const transferData = await response.json();
+            // Merge per mode so the shuttle keeps its site-config label unless the data file names it
+            Object.entries(transferData.modes).forEach(([mode, details]) => {
+                this.TRANSFER_MODES[mode] = { ...this.TRANSFER_MODES[mode], ...details };
+            });
+            this.transferCurrency = transferData.currency || this.transferCurrency;
+            Object.entries(transferData.airports).forEach(([iata, modes]) => {
+                this.groundTransfers[iata] = { ...this.groundTransfers[iata], ...modes };
+            });
+
+            console.log('Ground transfers loaded:', Object.keys(this.TRANSFER_MODES).length, 'modes');
+        } catch (error) {
+            console.warn('Ground transfer data not available, using fixed shuttle times:', error);
+        }
+    }
+
+    // Helper function: Build the origin select value for a metro area
+    getMetroKey(metroId) {
+        return `metro:${metroId}`;
+    }
+
+    // Helper function: Get the metro area for an origin key, or null for a single airport
+    getMetroArea(originKey) {
+        if (!originKey || !originKey.startsWith('metro:')) {
+            return null;
+        }
+        return this.metroAreas.get(originKey.slice('metro:'.length)) || null;
     }
 
     initMaps() {
@@ -100,13 +529,19 @@ class FlightPathVisualizer {
             keyboard: false // Disable keyboard navigation
         });
 
-        // Initialize destination image mapping
-        this.destinationImages = {
-            'Puerto Plata': 'assets/fromPuertoPlata.jpg',
-            'Santiago': 'assets/fromSantiago.jpg',
-            'Santo Domingo': 'assets/fromSantoDomingo.jpg',
-            'Punta Cana': 'assets/fromPuntaCana.jpg'
-        };
+        // Initialize the destination inset map (fixed view, fitted to the destinations once they're drawn)
+        this.insetMap = L.map('dr-map', {
+            center: [18.9, -70.2],
+            zoom: 7,
+            zoomControl: false,
+            attributionControl: false,
+            dragging: false,
+            touchZoom: false,
+            doubleClickZoom: false,
+            scrollWheelZoom: false,
+            boxZoom: false,
+            keyboard: false
+        });
 
         // No attribution controls as per requirements
     }
@@ -119,17 +554,22 @@ class FlightPathVisualizer {
             }
             
             const worldData = await response.json();
-            
+            const landStyle = {
+                fillColor: 'rgb(201, 245, 218)',  // Updated land color to match the destination images
+                fillOpacity: 0.8,
+                color: 'rgb(137, 216, 236)', // Border color matching ocean
+                weight: 1,
+                opacity: 0.6
+            };
+
             this.worldLayer = L.geoJSON(worldData, {
-                style: {
-                    fillColor: 'rgb(201, 245, 218)',  // Updated land color to match DR images
-                    fillOpacity: 0.8,
-                    color: 'rgb(137, 216, 236)', // Border color matching ocean
-                    weight: 1,
-                    opacity: 0.6
-                }
+                style: landStyle
             }).addTo(this.worldMap);
 
+            // The inset shows the destination region from the same country outlines
+            this.insetGeoData = worldData;
+            L.geoJSON(this.insetGeoData, { style: landStyle, interactive: false }).addTo(this.insetMap);
+
             console.log('World map loaded successfully');
         } catch (error) {
             console.error('Error loading world map:', error);
@@ -140,27 +580,366 @@ class FlightPathVisualizer {
         }
     }
 
-    switchDestinationImage(destinationName) {
+    toggleTravelTimeChoropleth(active) {
+        this.choroplethActive = active;
+        if (!this.worldLayer) return;
+
+        if (active) {
+            this.applyTravelTimeChoropleth();
+        } else {
+            this.worldLayer.eachLayer(layer => {
+                this.worldLayer.resetStyle(layer);
+                layer.unbindTooltip();
+            });
+        }
+        this.renderChoroplethLegend();
+    }
+
+    // Color each country by the quickest door-to-door trip from any of its airports
+    async applyTravelTimeChoropleth() {
+        const generation = ++this.choroplethGeneration;
+        const bestByAirport = await this.getBestTimesToOffice(generation);
+        // A later month, filter or transfer change (or hiding the choropleth) supersedes this run
+        if (!this.isChoroplethRunCurrent(generation)) return;
+
+        const bestByCountry = new Map(); // World layer -> best {iata, minutes, path}
+
+        this.getAirportCountryLayers().forEach((countryLayer, iata) => {
+            const best = bestByAirport.get(iata);
+            if (!best) return;
+
+            const current = bestByCountry.get(countryLayer);
+            if (!current || best.minutes < current.minutes) {
+                bestByCountry.set(countryLayer, { iata, ...best });
+            }
+        });
+
+        this.worldLayer.eachLayer(layer => {
+            const best = bestByCountry.get(layer);
+            const countryName = layer.feature.properties.name;
+
+            layer.setStyle({
+                fillColor: best ? this.getTravelTimeColor(best.minutes) : this.NO_ROUTE_COLOR,
+                fillOpacity: 0.85
+            });
+
+            const tooltip = best
+                ? `<strong>${countryName}</strong><br>${this.formatDuration(best.minutes)} door to door from ${this.getAirportCity(best.iata)} (${best.iata})<br>${best.path.join(' → ')} → ${this.propertyLocation.shortName}`
+                : `<strong>${countryName}</strong><br>No route within ${this.MAX_TRANSFERS} transfers`;
+            layer.unbindTooltip();
+            layer.bindTooltip(tooltip, { sticky: true });
+        });
+    }
+
+    // Helper function: Whether a choropleth run is still the one the visitor is waiting for
+    isChoroplethRunCurrent(generation) {
+        return this.choroplethActive && generation === this.choroplethGeneration;
+    }
+
+    // The search below takes about a second, so results are kept per month, airline filter and transfer mode
+    async getBestTimesToOffice(generation) {
+        const filterKey = `${this.airlineFilter.mode}:${[...this.airlineFilter.airlines].sort().join(',')}`;
+        const cacheKey = `${this.selectedMonth}|${filterKey}|${this.transferMode}`;
+        if (this.bestTimesCache.has(cacheKey)) {
+            return this.bestTimesCache.get(cacheKey);
+        }
+
+        const best = await this.computeBestTimesToOffice(generation);
+        if (!best) {
+            return null;
+        }
+        if (this.bestTimesCache.size >= this.BEST_TIMES_CACHE_SIZE) {
+            // Maps keep insertion order, so the first key is the oldest
+            this.bestTimesCache.delete(this.bestTimesCache.keys().next().value);
+        }
+        this.bestTimesCache.set(cacheKey, best);
+        return best;
+    }
+
+    // Best door-to-door time (flights, layovers and shuttle) from every airport, searched backwards from the destinations.
+    // Runs in short chunks so the page stays responsive; resolves to null if the run is superseded.
+    async computeBestTimesToOffice(generation) {
+        const maxLegs = this.MAX_TRANSFERS + 1;
+        const best = new Map(); // Origin IATA -> {minutes, path}
+        let sliceStart = performance.now();
+
+        for (const dest of this.destinations) {
+            const queue = new RouteQueue();
+            const settled = new Set();
+            // Paths are stored in travel order, so path[0] is where the traveler departs from
+            queue.push({ cost: this.getTransferMinutes(dest.iata), path: [dest.iata] });
+
+            while (queue.size > 0) {
+                if (performance.now() - sliceStart > this.CHOROPLETH_SLICE_MS) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (!this.isChoroplethRunCurrent(generation)) {
+                        return null;
+                    }
+                    sliceStart = performance.now();
+                }
+
+                const partial = queue.pop();
+                const [currentIata, nextIata] = partial.path;
+                const legs = partial.path.length - 1;
+
+                // Later arrivals at the same airport, onward flight and leg count can't do better
+                const stateKey = `${currentIata}|${nextIata}|${legs}`;
+                if (settled.has(stateKey)) continue;
+                settled.add(stateKey);
+
+                // The destination airports themselves count too, with just the shuttle
+                const existing = best.get(currentIata);
+                if (!existing || partial.cost < existing.minutes) {
+                    best.set(currentIata, { minutes: partial.cost, path: partial.path });
+                }
+
+                if (legs >= maxLegs) continue;
+
+                this.getAirportNeighbors(currentIata).forEach((leg, previousIata) => {
+                    if (partial.path.includes(previousIata)) return;
+                    if (!this.isLegOperating(leg)) return;
+
+                    const layoverMinutes = nextIata
+                        ? this.getLayover(previousIata, currentIata, nextIata).minutes
+                        : 0;
+
+                    queue.push({
+                        cost: partial.cost + leg.flight_duration_minutes + layoverMinutes,
+                        path: [previousIata, ...partial.path]
+                    });
+                });
+            }
+        }
+
+        return best;
+    }
+
+    // Helper function: Map each airport to the world layer polygon it lies in
+    getAirportCountryLayers() {
+        if (this.airportCountryLayers) {
+            return this.airportCountryLayers;
+        }
+
+        // Country names in the flight data don't match Natural Earth's, so match by location instead
+        this.airportCountryLayers = new Map();
+        const countryLayers = [];
+        this.worldLayer.eachLayer(layer => countryLayers.push(layer));
+
+        this.airports.forEach((airport, iata) => {
+            const [lat, lng] = airport.coords;
+            const countryLayer = countryLayers.find(layer =>
+                layer.getBounds().contains([lat, lng]) && this.isPointInGeometry(lat, lng, layer.feature.geometry)
+            );
+            if (countryLayer) {
+                this.airportCountryLayers.set(iata, countryLayer);
+            }
+        });
+
+        return this.airportCountryLayers;
+    }
+
+    // Helper function: Ray-casting point-in-polygon test for GeoJSON Polygon/MultiPolygon geometry
+    isPointInGeometry(lat, lng, geometry) {
+        const isInRing = (ring) => {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [lngI, latI] = ring[i];
+                const [lngJ, latJ] = ring[j];
+                if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+        // Inside the outer ring and outside every hole
+        const isInPolygon = (rings) => isInRing(rings[0]) && !rings.slice(1).some(isInRing);
+
+        if (geometry.type === 'Polygon') {
+            return isInPolygon(geometry.coordinates);
+        }
+        if (geometry.type === 'MultiPolygon') {
+            return geometry.coordinates.some(isInPolygon);
+        }
+        return false;
+    }
+
+    getTravelTimeColor(minutes) {
+        return this.TRAVEL_TIME_BANDS.find(band => minutes <= band.maxHours * 60).color;
+    }
+
+    renderChoroplethLegend() {
+        const legend = document.getElementById('choropleth-legend');
+        if (!legend) return;
+
+        legend.hidden = !this.choroplethActive;
+        if (!this.choroplethActive) return;
+
+        let lowerHours = 0;
+        const bandItems = this.TRAVEL_TIME_BANDS.map(band => {
+            const label = band.maxHours === Infinity ? `${lowerHours}h+` : `${lowerHours}–${band.maxHours}h`;
+            lowerHours = band.maxHours;
+            return `<div class="legend-item"><span class="legend-swatch" style="background: ${band.color}"></span>${label}</div>`;
+        }).join('');
+
+        legend.innerHTML = `
+            <div class="legend-title">Door to door</div>
+            ${bandItems}
+            <div class="legend-item"><span class="legend-swatch" style="background: ${this.NO_ROUTE_COLOR}"></span>No route</div>
+        `;
+    }
+
+    // Selected ground transfer from a destination airport; airports that don't offer the mode fall back to the shuttle
+    getGroundTransfer(destinationIata) {
+        const options = this.isPropertyDestination(destinationIata) ? this.groundTransfers[destinationIata] || {} : {};
+        const mode = options[this.transferMode] ? this.transferMode : 'shuttle';
+        if (!options[mode]) {
+            return null;
+        }
+
+        return { mode, ...this.TRANSFER_MODES[mode], ...options[mode] };
+    }
+
+    getTransferMinutes(destinationIata) {
+        const transfer = this.getGroundTransfer(destinationIata);
+        return transfer ? transfer.duration_minutes : 0;
+    }
+
+    setTransferMode(mode) {
+        this.transferMode = mode;
+
+        const transferSelect = document.getElementById('transfer-select');
+        if (transferSelect) {
+            transferSelect.value = mode;
+        }
+
+        // Door-to-door times change, so rankings and the choropleth need redoing
+        if (this.choroplethActive) {
+            this.applyTravelTimeChoropleth();
+        }
+        if (this.selectedOrigin) {
+            // The columns are re-ranked, but the route being looked at stays selected
+            this.displayFlightOptions(this.selectedOrigin, this.selectedRoute);
+        }
+        this.updateUrlState();
+    }
+
+    switchDestinationImage(destinationIata) {
         const imageElement = document.getElementById('destination-image');
-        const newImageSrc = this.destinationImages[destinationName];
+        const destination = this.destinations.find(dest => dest.iata === destinationIata);
+        const newImageSrc = destination ? destination.image : null;
 
         if (newImageSrc && imageElement.src !== newImageSrc) {
             // Fade out is handled by addMapFadeEffect() for synchronization
             // Change image immediately since fade out is instant
             setTimeout(() => {
                 imageElement.src = newImageSrc;
-                imageElement.alt = `View from ${destinationName}`;
+                imageElement.alt = `View from ${destination.name}`;
             }, 0); // Change image immediately
         }
     }
 
+    renderInsetMap() {
+        this.destinations.forEach(dest => {
+            const marker = L.circleMarker(dest.coords, {
+                radius: 6,
+                color: 'white',
+                weight: 2,
+                fillColor: 'rgb(102, 102, 102)', // --grey-main until the airport is picked
+                fillOpacity: 1
+            }).addTo(this.insetMap);
+            marker.bindTooltip(`✈️ ${dest.name} (${dest.iata})`, { direction: 'top', className: 'dr-map-label' });
+            this.insetMarkers.set(dest.iata, marker);
+        });
+
+        L.marker(this.propertyLocation.coords, {
+            icon: L.divIcon({
+                html: `<div class="dr-office-marker"><img src="${this.siteConfig.branding.logo}" alt=""><span>${this.propertyLocation.name}</span></div>`,
+                className: 'custom-div-icon',
+                iconSize: [24, 24],
+                iconAnchor: [12, 12]
+            }),
+            interactive: false,
+            zIndexOffset: 1000
+        }).addTo(this.insetMap);
+
+        this.fitInsetMap();
+    }
+
+    // Fit the inset to the arrival airports and the office
+    fitInsetMap() {
+        const points = [...this.destinations.map(dest => dest.coords), this.propertyLocation.coords];
+        this.insetMap.fitBounds(L.latLngBounds(points).pad(0.15));
+    }
+
+    // Draw the selected ground transfer from the arrival airport to the property, labeled with its time
+    showShuttleRoute(destination) {
+        this.clearShuttleLines();
+
+        const iata = destination.destination_airport_iata;
+        const coords = this.parseCoordinates(destination.destination_airport_coordinates);
+        const transfer = this.getGroundTransfer(iata);
+        if (!transfer) return;
+
+        // Helicopters fly straight to the office; road transfers follow the highway
+        const isFlown = transfer.mode === 'helicopter';
+        const roadPoints = (!isFlown && this.transferRoutes.get(iata)) || [coords, this.propertyLocation.coords];
+
+        this.currentShuttleLine = L.polyline(roadPoints, {
+            color: 'rgb(16, 154, 72)', // --green-main
+            weight: isFlown ? 3 : 4,
+            opacity: 0.9,
+            dashArray: isFlown ? '6, 8' : null,
+            lineCap: 'round',
+            lineJoin: 'round'
+        }).addTo(this.insetMap);
+
+        // Time label sits at the middle of the road
+        this.currentShuttleLine.bindTooltip(`${transfer.icon} ${this.formatDuration(transfer.duration_minutes)}`, {
+            permanent: true,
+            direction: 'center',
+            className: 'dr-transfer-label'
+        });
+        this.currentShuttleLine.openTooltip(roadPoints[Math.floor(roadPoints.length / 2)]);
+
+        const airportMarker = this.insetMarkers.get(iata);
+        if (airportMarker) {
+            airportMarker.setStyle({ fillColor: 'rgb(16, 154, 72)' }); // --green-main
+            airportMarker.openTooltip();
+        }
+    }
+
     clearShuttleLines() {
-        // No longer needed since we removed the DR map
+        if (this.currentShuttleLine) {
+            this.insetMap.removeLayer(this.currentShuttleLine);
+            this.currentShuttleLine = null;
+        }
+
+        this.insetMarkers.forEach(marker => {
+            marker.setStyle({ fillColor: 'rgb(102, 102, 102)' }); // --grey-main
+            marker.closeTooltip();
+        });
     }
 
     setupUI() {
         this.populateOriginDropdown();
+        this.populateMonthDropdown();
+        this.populateSortDropdown();
+        this.populateConnectionDropdown();
+        this.populateAirlineFilter();
+        this.populatePathStyleDropdown();
+        this.populateTransferDropdown();
+        this.populateTripModeDropdown();
+        this.populateDestinationDropdown();
         this.setupEventListeners();
+
+        // A shared link's selection wins over location detection
+        if (this.restoreUrlState()) {
+            this.withUrlUpdates('replace', () => this.updateUrlState());
+            return;
+        }
+
+        // Show the whole network while the visitor's location is being detected
+        this.showNetworkOverview();
         this.detectUserLocation();
     }
 
@@ -168,57 +947,52 @@ class FlightPathVisualizer {
         const originSelect = document.getElementById('origin-select');
         const origins = new Map(); // IATA -> {city, country, displayName}
 
-        // Dominican Republic IATA codes to exclude from origin options
-        const drIataCodes = this.destinations.map(dest => dest.iata);
+        // Rebuilt when the trip mode changes, so drop the previous groups
+        originSelect.querySelectorAll('optgroup').forEach(group => group.remove());
 
-        // Step 1: Collect airports with direct routes to DR destinations
-        this.flightData.forEach(airportPair => {
-            // Check if either airport is a DR destination
-            const airport1IsDR = drIataCodes.includes(airportPair.airport1_iata);
-            const airport2IsDR = drIataCodes.includes(airportPair.airport2_iata);
-
-            // Add the non-DR airport as a potential origin
-            if (airport1IsDR && !drIataCodes.includes(airportPair.airport2_iata)) {
-                const iata = airportPair.airport2_iata;
-                const city = airportPair.airport2_city_name;
-                const country = airportPair.airport2_country;
-                const displayName = `${city}, ${country}`;
-                origins.set(iata, {city, country, displayName});
-            } else if (airport2IsDR && !drIataCodes.includes(airportPair.airport1_iata)) {
-                const iata = airportPair.airport1_iata;
-                const city = airportPair.airport1_city_name;
-                const country = airportPair.airport1_country;
-                const displayName = `${city}, ${country}`;
-                origins.set(iata, {city, country, displayName});
-            }
-        });
+        if (this.tripMode === 'point_to_point') {
+            // Any airport with at least one route can be an origin
+            this.airports.forEach((airport, iata) => {
+                if (this.getAirportNeighbors(iata).size > 0) {
+                    origins.set(iata, this.getOriginEntry(iata));
+                }
+            });
+        } else {
+            // Destination IATA codes to exclude from origin options
+            const destinationIataCodes = this.destinations.map(dest => dest.iata);
+
+            // Collect every airport that can reach a destination within the allowed number of legs
+            destinationIataCodes.forEach(destinationIata => {
+                this.getHopsToAirport(destinationIata, this.MAX_TRANSFERS + 1).forEach((hops, iata) => {
+                    if (!destinationIataCodes.includes(iata) && !origins.has(iata)) {
+                        origins.set(iata, this.getOriginEntry(iata));
+                    }
+                });
+            });
+        }
 
-        // Step 2: Add airports with connecting routes (2-hop routes)
-        // Get all airports that connect to the direct-route airports
-        const directRouteAirports = new Set(origins.keys());
+        // Metro areas with at least two selectable airports go first
+        const metroGroup = document.createElement('optgroup');
+        metroGroup.label = 'Metro areas';
 
-        this.flightData.forEach(airportPair => {
-            const airport1Iata = airportPair.airport1_iata;
-            const airport2Iata = airportPair.airport2_iata;
-
-            // If airport1 connects to a direct-route airport, add airport2 as potential origin
-            if (directRouteAirports.has(airport1Iata) && !drIataCodes.includes(airport2Iata) && !origins.has(airport2Iata)) {
-                const iata = airport2Iata;
-                const city = airportPair.airport2_city_name;
-                const country = airportPair.airport2_country;
-                const displayName = `${city}, ${country}`;
-                origins.set(iata, {city, country, displayName});
-            }
+        Array.from(this.metroAreas.values())
+            .filter(metroArea => metroArea.airports.filter(iata => origins.has(iata)).length > 1)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(metroArea => {
+                const option = document.createElement('option');
+                option.value = this.getMetroKey(metroArea.id);
+                option.textContent = `${metroArea.name} (all airports)`;
+                option.dataset.city = metroArea.name;
+                metroGroup.appendChild(option);
+            });
 
-            // If airport2 connects to a direct-route airport, add airport1 as potential origin
-            if (directRouteAirports.has(airport2Iata) && !drIataCodes.includes(airport1Iata) && !origins.has(airport1Iata)) {
-                const iata = airport1Iata;
-                const city = airportPair.airport1_city_name;
-                const country = airportPair.airport1_country;
-                const displayName = `${city}, ${country}`;
-                origins.set(iata, {city, country, displayName});
-            }
-        });
+        if (metroGroup.children.length > 0) {
+            originSelect.appendChild(metroGroup);
+        }
+
+        const airportGroup = document.createElement('optgroup');
+        airportGroup.label = 'Airports';
+        this.originIatas = Array.from(origins.keys());
 
         // Sort by display name and populate dropdown
         Array.from(origins.entries())
@@ -229,10 +1003,154 @@ class FlightPathVisualizer {
                 option.textContent = `${airport.displayName} (${iata})`; // Display city, country (IATA)
                 option.dataset.city = airport.city;
                 option.dataset.country = airport.country;
-                originSelect.appendChild(option);
+                airportGroup.appendChild(option);
+            });
+
+        originSelect.appendChild(airportGroup);
+    }
+
+    populateDestinationDropdown() {
+        const destinationSelect = document.getElementById('destination-select');
+        if (!destinationSelect) return;
+
+        Array.from(this.airports.keys())
+            .filter(iata => this.getAirportNeighbors(iata).size > 0)
+            .map(iata => [iata, this.getOriginEntry(iata)])
+            .sort((a, b) => a[1].displayName.localeCompare(b[1].displayName))
+            .forEach(([iata, airport]) => {
+                const option = document.createElement('option');
+                option.value = iata;
+                option.textContent = `${airport.displayName} (${iata})`;
+                destinationSelect.appendChild(option);
             });
     }
 
+    populateMonthDropdown() {
+        const monthSelect = document.getElementById('month-select');
+        if (!monthSelect) return;
+
+        this.MONTHS.forEach((month, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = month;
+            monthSelect.appendChild(option);
+        });
+    }
+
+    populateSortDropdown() {
+        const sortSelect = document.getElementById('sort-select');
+        if (!sortSelect) return;
+
+        Object.entries(this.RANKING_STRATEGIES).forEach(([strategy, label]) => {
+            const option = document.createElement('option');
+            option.value = strategy;
+            option.textContent = label;
+            sortSelect.appendChild(option);
+        });
+        sortSelect.value = this.rankingStrategy;
+    }
+
+    populateConnectionDropdown() {
+        const connectionSelect = document.getElementById('connection-select');
+        if (!connectionSelect) return;
+
+        Object.entries(this.CONNECTION_PREFERENCES).forEach(([preference, label]) => {
+            const option = document.createElement('option');
+            option.value = preference;
+            option.textContent = label;
+            connectionSelect.appendChild(option);
+        });
+        connectionSelect.value = this.connectionPreference;
+    }
+
+    populateAirlineFilter() {
+        const filterList = document.getElementById('airline-filter-list');
+        if (!filterList) return;
+
+        // Every carrier in the data, with name variants folded together
+        const airlineNames = new Set();
+        this.flightData.forEach(airportPair => {
+            airportPair.airlines.forEach(airline => airlineNames.add(this.getCanonicalAirline(airline.airline_name)));
+        });
+
+        [...airlineNames].sort((a, b) => a.localeCompare(b)).forEach(name => {
+            const item = document.createElement('label');
+            item.className = 'airline-filter-item';
+            item.dataset.airline = name.toLowerCase();
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = name;
+            item.appendChild(checkbox);
+            item.appendChild(document.createTextNode(` ${name}`));
+            filterList.appendChild(item);
+        });
+
+        this.updateAirlineFilterSummary();
+    }
+
+    populatePathStyleDropdown() {
+        const pathStyleSelect = document.getElementById('path-style-select');
+        if (!pathStyleSelect) return;
+
+        Object.entries(this.PATH_STYLES).forEach(([style, label]) => {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = label;
+            pathStyleSelect.appendChild(option);
+        });
+        pathStyleSelect.value = this.pathStyle;
+    }
+
+    populateTransferDropdown() {
+        const transferSelect = document.getElementById('transfer-select');
+        if (!transferSelect) return;
+
+        Object.entries(this.TRANSFER_MODES).forEach(([mode, { label, icon }]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = `${icon} ${label}`;
+            transferSelect.appendChild(option);
+        });
+        transferSelect.value = this.transferMode;
+    }
+
+    populateTripModeDropdown() {
+        const tripModeSelect = document.getElementById('trip-mode-select');
+        if (!tripModeSelect) return;
+
+        Object.entries(this.TRIP_MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            tripModeSelect.appendChild(option);
+        });
+        tripModeSelect.value = this.tripMode;
+    }
+
+    updateAirlineFilterSummary() {
+        const filterSummary = document.getElementById('airline-filter-summary');
+        if (!filterSummary) return;
+
+        const count = this.airlineFilter.airlines.size;
+        if (count === 0) {
+            filterSummary.textContent = 'Airlines: all';
+        } else if (this.airlineFilter.mode === 'include') {
+            filterSummary.textContent = `Airlines: only ${count} selected`;
+        } else {
+            filterSummary.textContent = `Airlines: avoiding ${count}`;
+        }
+    }
+
+    getOriginEntry(iata) {
+        const airport = this.airports.get(iata);
+        return {
+            city: airport.city,
+            country: airport.country,
+            displayName: `${airport.city}, ${airport.country}`
+        };
+    }
+
     async detectUserLocation() {
         try {
             // Try browser geolocation first
@@ -314,37 +1232,16 @@ class FlightPathVisualizer {
         let closestAirport = null;
         let minDistance = Infinity;
 
-        // Create a map of all unique airports from flight data
-        const airports = new Map(); // IATA -> {name, lat, lng}
-        const drIataCodes = this.destinations.map(dest => dest.iata);
-
-        this.flightData.forEach(airportPair => {
-            // Add airport1 if it's not a DR destination
-            if (!drIataCodes.includes(airportPair.airport1_iata)) {
-                const coords1 = this.parseCoordinates(airportPair.airport1_coordinates);
-                airports.set(airportPair.airport1_iata, {
-                    iata: airportPair.airport1_iata,
-                    name: `${airportPair.airport1_city_name}, ${airportPair.airport1_country}`,
-                    lat: coords1[0],
-                    lng: coords1[1]
-                });
-            }
+        const destinationIataCodes = this.destinations.map(dest => dest.iata);
 
-            // Add airport2 if it's not a DR destination
-            if (!drIataCodes.includes(airportPair.airport2_iata)) {
-                const coords2 = this.parseCoordinates(airportPair.airport2_coordinates);
-                airports.set(airportPair.airport2_iata, {
-                    iata: airportPair.airport2_iata,
-                    name: `${airportPair.airport2_city_name}, ${airportPair.airport2_country}`,
-                    lat: coords2[0],
-                    lng: coords2[1]
-                });
+        // Find closest airport
+        this.airports.forEach(airport => {
+            // Skip the destinations, they can't be origins
+            if (destinationIataCodes.includes(airport.iata)) {
+                return;
             }
-        });
 
-        // Find closest airport
-        airports.forEach(airport => {
-            const distance = this.calculateDistance([userLat, userLng], [airport.lat, airport.lng]);
+            const distance = this.calculateDistance([userLat, userLng], airport.coords);
             if (distance < minDistance) {
                 minDistance = distance;
                 closestAirport = airport.iata; // Return IATA code instead of name
@@ -355,27 +1252,24 @@ class FlightPathVisualizer {
         return minDistance < 500 ? closestAirport : null;
     }
 
-    setDefaultOrigin(airportName) {
+    setDefaultOrigin(iata) {
         const originSelect = document.getElementById('origin-select');
-        const option = Array.from(originSelect.options).find(opt => opt.value === airportName);
+        const option = Array.from(originSelect.options).find(opt => opt.value === iata);
 
         if (option) {
-            originSelect.value = airportName;
-            this.selectedOrigin = airportName;
-            this.displayFlightOptions(airportName);
-            console.log(`Auto-selected closest airport: ${airportName}`);
+            originSelect.value = iata;
+            this.selectedOrigin = iata;
+            // The overview stays up with the origin's columns below it until the visitor picks a route
+            // or closes the overview; automatic picks don't add a history entry
+            this.updateOverviewButton();
+            this.withUrlUpdates('replace', () => this.displayFlightOptions(iata));
+            console.log(`Auto-selected closest airport: ${iata}`);
         }
     }
 
     setSmartDefault() {
-        // Set smart defaults based on common travel patterns to Dominican Republic
-        const commonOrigins = [
-            'New York, USA',
-            'Miami, USA',
-            'Toronto, Canada',
-            'Madrid, Spain',
-            'Paris, France'
-        ];
+        // Set smart defaults based on the site's common travel patterns
+        const commonOrigins = this.siteConfig.default_origins || [];
 
         const originSelect = document.getElementById('origin-select');
 
@@ -384,19 +1278,385 @@ class FlightPathVisualizer {
             if (option) {
                 originSelect.value = origin;
                 this.selectedOrigin = origin;
-                this.displayFlightOptions(origin);
+                this.updateOverviewButton();
+                this.withUrlUpdates('replace', () => this.displayFlightOptions(origin));
                 console.log(`Set smart default origin: ${origin}`);
                 break;
             }
         }
     }
 
+    // Query string for the current selection (site, trip mode, origin, filters and the picked route)
+    getUrlSearch() {
+        const params = new URLSearchParams();
+        const defaults = this.URL_STATE_DEFAULTS;
+
+        const siteId = new URLSearchParams(window.location.search).get('site');
+        if (siteId) {
+            params.set('site', siteId);
+        }
+        if (this.tripMode !== defaults.trip) {
+            params.set('trip', this.tripMode);
+        }
+        if (this.selectedOrigin) {
+            params.set('origin', this.selectedOrigin);
+        }
+        if (this.tripMode === 'point_to_point' && this.pointDestination) {
+            params.set('to', this.pointDestination);
+        }
+        if (this.selectedMonth !== null) {
+            params.set('month', this.MONTHS[this.selectedMonth].toLowerCase());
+        }
+        if (this.rankingStrategy !== defaults.rank) {
+            params.set('rank', this.rankingStrategy);
+        }
+        if (this.connectionPreference !== defaults.connections) {
+            params.set('connections', this.connectionPreference);
+        }
+        if (this.transferMode !== defaults.transfer) {
+            params.set('transfer', this.transferMode);
+        }
+        if (this.airlineFilter.airlines.size > 0) {
+            params.set('airline_mode', this.airlineFilter.mode);
+            [...this.airlineFilter.airlines].sort((a, b) => a.localeCompare(b)).forEach(name => params.append('airline', name));
+        }
+
+        // Only a route that's still among the displayed options is part of the selection
+        const route = this.selectedRoute;
+        const routeDisplayed = route && this.selectedOrigin &&
+            [...this.columnRoutes.values()].some(entries => entries.some(entry => entry.route === route));
+        if (routeDisplayed) {
+            params.set('arrive', route.destination.destination_airport_iata);
+            if (route.departureAirport) {
+                params.set('depart', route.departureAirport);
+            }
+            if (route.transferAirports.length > 0) {
+                params.set('via', route.transferAirports.join('-'));
+            }
+        }
+
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    }
+
+    updateUrlState() {
+        if (this.urlUpdateMode === 'none') return;
+
+        const search = this.getUrlSearch();
+        if (search === window.location.search) return;
+
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (this.urlUpdateMode === 'replace') {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    // Run a change with URL updates pushed, replaced or suppressed
+    withUrlUpdates(mode, change) {
+        const previousMode = this.urlUpdateMode;
+        this.urlUpdateMode = mode;
+        try {
+            change();
+        } finally {
+            this.urlUpdateMode = previousMode;
+        }
+    }
+
+    // Apply the selection in the query string, falling back to defaults for anything missing or unknown.
+    // Returns whether it named an origin.
+    restoreUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const defaults = this.URL_STATE_DEFAULTS;
+        const pickKnown = (key, options) => (Object.keys(options).includes(params.get(key)) ? params.get(key) : defaults[key]);
+        let originRestored = false;
+
+        this.withUrlUpdates('none', () => {
+            // Filters go first so the columns are built under them
+            const month = (params.get('month') || '').toLowerCase();
+            const monthIndex = this.MONTHS.findIndex(name => name.toLowerCase() === month);
+            this.selectedMonth = monthIndex >= 0 ? monthIndex : null;
+            this.rankingStrategy = pickKnown('rank', this.RANKING_STRATEGIES);
+            this.connectionPreference = pickKnown('connections', this.CONNECTION_PREFERENCES);
+            this.transferMode = pickKnown('transfer', this.TRANSFER_MODES);
+
+            const controlValues = {
+                'month-select': this.selectedMonth === null ? '' : String(this.selectedMonth),
+                'sort-select': this.rankingStrategy,
+                'connection-select': this.connectionPreference,
+                'transfer-select': this.transferMode
+            };
+            Object.entries(controlValues).forEach(([id, value]) => {
+                const select = document.getElementById(id);
+                if (select) {
+                    select.value = value;
+                }
+            });
+
+            // Only carriers listed in the filter panel can be selected
+            const requestedAirlines = new Set(params.getAll('airline'));
+            this.airlineFilter.mode = params.get('airline_mode') === 'include' ? 'include' : 'exclude';
+            this.airlineFilter.airlines.clear();
+            document.querySelectorAll('#airline-filter-list input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = requestedAirlines.has(checkbox.value);
+                if (checkbox.checked) {
+                    this.airlineFilter.airlines.add(checkbox.value);
+                }
+            });
+            document.querySelectorAll('input[name="airline-filter-mode"]').forEach(modeRadio => {
+                modeRadio.checked = modeRadio.value === this.airlineFilter.mode;
+            });
+            this.updateAirlineFilterSummary();
+
+            const destination = params.get('to');
+            this.pointDestination = destination && this.airports.has(destination) ? destination : null;
+            const destinationSelect = document.getElementById('destination-select');
+            if (destinationSelect) {
+                destinationSelect.value = this.pointDestination || '';
+            }
+
+            // Switching trip mode rebuilds the origin list, so the origin is picked afterwards
+            this.selectedOrigin = null;
+            this.setTripMode(pickKnown('trip', this.TRIP_MODES));
+
+            const origin = params.get('origin');
+            const originSelect = document.getElementById('origin-select');
+            if (origin && Array.from(originSelect.options).some(option => option.value === origin)) {
+                originSelect.value = origin;
+                this.selectedOrigin = origin;
+                this.hideNetworkOverview();
+                this.displayFlightOptions(origin);
+                this.selectUrlRoute(params);
+                this.renderExploreMarkers();
+                originRestored = true;
+            }
+
+            if (this.networkOverviewActive) {
+                this.drawNetworkOverview();
+            }
+            if (this.choroplethActive) {
+                this.applyTravelTimeChoropleth();
+            }
+        });
+
+        return originRestored;
+    }
+
+    // Pick the route named by arrive/depart/via, if it's still offered; otherwise the best route stays selected
+    selectUrlRoute(params) {
+        const via = params.get('via');
+        const match = this.findDisplayedRoute(params.get('arrive'), params.get('depart'), via ? via.split('-') : []);
+        if (match) {
+            match.button.click();
+        }
+    }
+
     setupEventListeners() {
         const originSelect = document.getElementById('origin-select');
 
         originSelect.addEventListener('change', () => {
             this.onOriginChange();
         });
+
+        const destinationSelect = document.getElementById('destination-select');
+        if (destinationSelect) {
+            destinationSelect.addEventListener('change', () => {
+                this.onDestinationChange();
+            });
+        }
+
+        const tripModeSelect = document.getElementById('trip-mode-select');
+        if (tripModeSelect) {
+            tripModeSelect.addEventListener('change', () => this.setTripMode(tripModeSelect.value));
+        }
+
+        const monthSelect = document.getElementById('month-select');
+        if (monthSelect) {
+            monthSelect.addEventListener('change', () => {
+                this.onMonthChange();
+            });
+        }
+
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.rankingStrategy = sortSelect.value;
+                // Re-rank the columns and pick the best route under the new strategy
+                if (this.selectedOrigin) {
+                    this.clearRoute();
+                    this.displayFlightOptions(this.selectedOrigin);
+                }
+                this.updateUrlState();
+            });
+        }
+
+        const connectionSelect = document.getElementById('connection-select');
+        if (connectionSelect) {
+            connectionSelect.addEventListener('change', () => {
+                this.connectionPreference = connectionSelect.value;
+                if (this.selectedOrigin) {
+                    this.clearRoute();
+                    this.displayFlightOptions(this.selectedOrigin);
+                }
+                this.updateUrlState();
+            });
+        }
+
+        const filterList = document.getElementById('airline-filter-list');
+        if (filterList) {
+            filterList.addEventListener('change', (event) => {
+                const { value, checked } = event.target;
+                if (checked) {
+                    this.airlineFilter.airlines.add(value);
+                } else {
+                    this.airlineFilter.airlines.delete(value);
+                }
+                this.onAirlineFilterChange();
+            });
+        }
+
+        document.querySelectorAll('input[name="airline-filter-mode"]').forEach(modeRadio => {
+            modeRadio.addEventListener('change', () => {
+                this.airlineFilter.mode = modeRadio.value;
+                this.onAirlineFilterChange();
+            });
+        });
+
+        const filterSearch = document.getElementById('airline-filter-search');
+        if (filterSearch && filterList) {
+            filterSearch.addEventListener('input', () => {
+                const query = filterSearch.value.trim().toLowerCase();
+                filterList.querySelectorAll('.airline-filter-item').forEach(item => {
+                    item.style.display = item.dataset.airline.includes(query) ? '' : 'none';
+                });
+            });
+        }
+
+        const filterClear = document.getElementById('airline-filter-clear');
+        if (filterClear && filterList) {
+            filterClear.addEventListener('click', () => {
+                filterList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                    checkbox.checked = false;
+                });
+                this.airlineFilter.airlines.clear();
+                this.onAirlineFilterChange();
+            });
+        }
+
+        const transferSelect = document.getElementById('transfer-select');
+        if (transferSelect) {
+            transferSelect.addEventListener('change', () => this.setTransferMode(transferSelect.value));
+        }
+
+        const pathStyleSelect = document.getElementById('path-style-select');
+        if (pathStyleSelect) {
+            pathStyleSelect.addEventListener('change', () => {
+                this.pathStyle = pathStyleSelect.value;
+                // Only the arcs change; markers, labels, details and a running animation stay as they are
+                if (this.selectedRoute) {
+                    this.clearRoutePaths();
+                    this.drawRoutePaths(this.selectedRoute);
+                    this.optimizeWorldMapZoom();
+                }
+            });
+        }
+
+        const animateToggle = document.getElementById('animate-toggle');
+        if (animateToggle) {
+            animateToggle.checked = this.animateFlights;
+            animateToggle.addEventListener('change', () => {
+                this.animateFlights = animateToggle.checked;
+                if (this.animateFlights) {
+                    this.startFlightAnimation();
+                } else {
+                    this.stopFlightAnimation();
+                }
+                this.updateReplayButton();
+            });
+        }
+
+        // Follow OS-level changes to the reduced motion setting
+        this.reducedMotionQuery.addEventListener('change', () => {
+            this.animateFlights = !this.reducedMotionQuery.matches;
+            if (animateToggle) {
+                animateToggle.checked = this.animateFlights;
+            }
+            if (!this.animateFlights) {
+                this.stopFlightAnimation();
+            }
+            this.updateReplayButton();
+        });
+
+        const choroplethToggle = document.getElementById('choropleth-toggle');
+        if (choroplethToggle) {
+            choroplethToggle.addEventListener('change', () => {
+                this.toggleTravelTimeChoropleth(choroplethToggle.checked);
+            });
+        }
+
+        // Label positions are in screen space, so redo them whenever the map settles after a fit, zoom or pan
+        this.worldMap.on('moveend', this.relayoutRouteLabels, this);
+
+        // Window resizes and phone rotations change the map's size without moving it
+        if (typeof ResizeObserver !== 'undefined') {
+            const resizeObserver = new ResizeObserver(() => this.scheduleMapRelayout());
+            resizeObserver.observe(this.worldMap.getContainer());
+            resizeObserver.observe(this.insetMap.getContainer());
+        } else {
+            window.addEventListener('resize', () => this.scheduleMapRelayout());
+            window.addEventListener('orientationchange', () => this.scheduleMapRelayout());
+        }
+
+        const exploreButton = document.getElementById('explore-toggle');
+        if (exploreButton) {
+            exploreButton.addEventListener('click', () => {
+                if (this.exploreModeActive) {
+                    this.leaveExploreMode();
+                } else {
+                    this.enterExploreMode();
+                }
+            });
+        }
+
+        const overviewButton = document.getElementById('overview-toggle');
+        if (overviewButton) {
+            overviewButton.addEventListener('click', () => {
+                if (!this.networkOverviewActive) {
+                    this.showNetworkOverview();
+                    return;
+                }
+
+                // Leaving the overview brings back the selected origin's routes
+                this.hideNetworkOverview();
+                if (this.selectedOrigin) {
+                    this.displayFlightOptions(this.selectedOrigin);
+                }
+            });
+        }
+
+        const replayButton = document.getElementById('replay-flight');
+        if (replayButton) {
+            replayButton.addEventListener('click', () => this.startFlightAnimation());
+        }
+
+        // Back/forward steps through earlier selections
+        window.addEventListener('popstate', () => {
+            if (!this.restoreUrlState()) {
+                this.showNetworkOverview();
+            }
+        });
+
+        const historicalToggle = document.getElementById('historical-toggle');
+        if (historicalToggle) {
+            historicalToggle.addEventListener('change', () => {
+                this.showHistoricalService = historicalToggle.checked;
+                // Only the airline lists change, so just refresh the details panel
+                if (this.selectedRoute) {
+                    this.displayFlightDetails(this.selectedRoute);
+                }
+            });
+        }
     }
 
     onOriginChange() {
@@ -407,23 +1667,114 @@ class FlightPathVisualizer {
         this.clearRoute();
 
         if (selectedOrigin) {
+            this.hideNetworkOverview();
             this.displayFlightOptions(selectedOrigin);
+            // Highlight the newly selected origin among the explore markers
+            this.renderExploreMarkers();
+        } else {
+            this.hideFlightOptions();
+        }
+    }
+
+    onDestinationChange() {
+        const destinationSelect = document.getElementById('destination-select');
+        this.pointDestination = destinationSelect.value || null;
+
+        this.clearRoute();
+        this.renderDestinationColumns();
+        if (this.selectedOrigin) {
+            this.hideNetworkOverview();
+            this.displayFlightOptions(this.selectedOrigin);
+        }
+    }
+
+    setTripMode(mode) {
+        this.tripMode = mode;
+        const isPointToPoint = mode === 'point_to_point';
+
+        const tripModeSelect = document.getElementById('trip-mode-select');
+        if (tripModeSelect) {
+            tripModeSelect.value = mode;
+        }
+
+        // The header reads "Getting to <logo> from ..." or "Flying from ... to ..."
+        document.getElementById('title-property').hidden = isPointToPoint;
+        document.getElementById('title-point-to-point').hidden = !isPointToPoint;
+        document.getElementById('header-destination').hidden = !isPointToPoint;
+
+        // Origins differ per mode; keep the current one if it's still on offer
+        this.populateOriginDropdown();
+        const originSelect = document.getElementById('origin-select');
+        const keepOrigin = Array.from(originSelect.options).some(option => option.value === this.selectedOrigin);
+        this.selectedOrigin = keepOrigin ? this.selectedOrigin : null;
+        originSelect.value = this.selectedOrigin || '';
+        this.renderExploreMarkers();
+
+        this.clearRoute();
+        this.renderDestinationColumns();
+        if (this.selectedOrigin) {
+            this.displayFlightOptions(this.selectedOrigin);
         } else {
             this.hideFlightOptions();
         }
     }
 
-    displayFlightOptions(selectedOrigin) {
+    onMonthChange() {
+        const monthSelect = document.getElementById('month-select');
+        this.selectedMonth = monthSelect.value === '' ? null : parseInt(monthSelect.value, 10);
+
+        // Routes depend on which carriers fly that month, so rebuild the columns
+        if (this.networkOverviewActive) {
+            this.drawNetworkOverview();
+        }
+        if (this.choroplethActive) {
+            this.applyTravelTimeChoropleth();
+        }
+        if (this.selectedOrigin) {
+            this.clearRoute();
+            this.displayFlightOptions(this.selectedOrigin);
+        }
+        this.updateUrlState();
+    }
+
+    onAirlineFilterChange() {
+        this.updateAirlineFilterSummary();
+
+        // Legs lose carriers under the filter, so rebuild the columns
+        if (this.networkOverviewActive) {
+            this.drawNetworkOverview();
+        }
+        if (this.choroplethActive) {
+            this.applyTravelTimeChoropleth();
+        }
+        if (this.selectedOrigin) {
+            this.clearRoute();
+            this.displayFlightOptions(this.selectedOrigin);
+        }
+        this.updateUrlState();
+    }
+
+    // routeToKeep: a selected route to carry over to the rebuilt columns instead of auto-selecting
+    displayFlightOptions(selectedOrigin, routeToKeep = null) {
+        // Point-to-point mode has nothing to show until a destination is picked
+        const destinations = this.getActiveDestinations();
+        if (destinations.length === 0) {
+            this.hideFlightOptions();
+            return;
+        }
+
         const flightOptionsDiv = document.getElementById('flight-options');
         flightOptionsDiv.style.display = 'block';
 
         // Update the options title with city name only (remove country)
         const optionsTitle = document.getElementById('options-title');
-        const originCityOnly = selectedOrigin.split(',')[0].trim(); // Extract city name only
-        optionsTitle.innerHTML = `${originCityOnly} ${this.createDurationArrow('varies')} <img src="assets/logo-final-2023-05-20.svg" class="inline-logo" alt="Green Office">`;
+        const metroArea = this.getMetroArea(selectedOrigin);
+        const originCityOnly = metroArea ? metroArea.name : this.getAirportCity(selectedOrigin); // Extract city name only
+        const arrivalTitle = this.tripMode === 'point_to_point' ? destinations[0].name : this.createInlineLogo();
+        optionsTitle.innerHTML = `${originCityOnly} ${this.createDurationArrow('varies')} ${arrivalTitle}`;
 
         // Clear all destination columns and reset styling
-        this.destinations.forEach(dest => {
+        destinations.forEach(dest => {
             const columnId = this.getColumnId(dest.name);
             const column = document.getElementById(columnId);
             if (column) {
@@ -437,23 +1788,82 @@ class FlightPathVisualizer {
         });
 
         // Find and display routes for each destination
-        this.destinations.forEach(dest => {
+        this.columnRoutes.clear();
+        destinations.forEach(dest => {
             const routes = this.findRoutesForDestination(selectedOrigin, dest);
             this.populateDestinationColumn(dest, routes);
         });
 
-        // Auto-select best route
-        this.autoSelectBestRoute();
+        const keptEntry = routeToKeep
+            ? this.findDisplayedRoute(routeToKeep.destination.destination_airport_iata, routeToKeep.departureAirport, routeToKeep.transferAirports)
+            : null;
+        if (keptEntry) {
+            this.reselectRoute(keptEntry);
+        } else {
+            // Auto-select best route
+            this.autoSelectBestRoute();
+        }
+        this.updateUrlState();
+    }
+
+    // Helper function: The displayed {route, button} arriving at an airport via the given hubs, if any
+    findDisplayedRoute(arriveIata, departIata, transferIatas) {
+        const entries = this.columnRoutes.get(arriveIata) || [];
+        const via = transferIatas.join('-');
+        return entries.find(({ route }) =>
+            route.transferAirports.join('-') === via && (!departIata || route.departureAirport === departIata)
+        ) || null;
+    }
+
+    // Attach the selection to its rebuilt button and refresh what depends on the ground transfer;
+    // the flight arcs, labels and animation are left as they are
+    reselectRoute(entry) {
+        const route = entry.route;
+        this.selectedRoute = route;
+        entry.button.classList.add('selected');
+        this.updateDestinationColumnStyling(route.destination.destination_city_name);
+        this.updateFlightOptionsHeader(route);
+        this.showShuttleRoute(route.destination);
+        this.displayFlightDetails(route);
     }
 
     hideFlightOptions() {
         const flightOptionsDiv = document.getElementById('flight-options');
         flightOptionsDiv.style.display = 'none';
+        this.columnRoutes.clear();
         this.hideFlightDetails();
+        this.updateUrlState();
     }
 
     findRoutesForDestination(originKey, destination) {
+        const metroArea = this.getMetroArea(originKey);
+        if (!metroArea) {
+            return this.sortRoutes(this.findRoutesFromAirport(originKey, destination));
+        }
+
+        // Merge routes from every airport in the metro area
+        const routes = [];
+        metroArea.airports.forEach(iata => {
+            this.findRoutesFromAirport(iata, destination).forEach(route => {
+                // Connecting through a sibling airport of the same metro area isn't a real option
+                if (route.transferAirports.some(iata => metroArea.airports.includes(iata))) {
+                    return;
+                }
+                route.departureAirport = iata;
+                routes.push(route);
+            });
+        });
+
+        return this.sortRoutes(routes);
+    }
+
+    findRoutesFromAirport(originKey, destination) {
         const routes = [];
+        const originIata = this.normalizeAirportKey(originKey);
+        const destinationIata = destination.iata;
+        if (originIata === destinationIata) {
+            return routes;
+        }
 
         // Create a mock destination data object for compatibility
         const destData = {
@@ -465,229 +1875,355 @@ class FlightPathVisualizer {
 
 
 
-        // Step 1: Get ServicesStartingAirport1 - airports that Starting Airport serves directly
-        const servicesStartingAirport1 = this.getDirectServicesFromAirport(originKey);
+        // Search the airport graph for every itinerary with up to MAX_TRANSFERS connections; ranking picks from all of them
+        const itineraries = this.findItineraries(originIata, destinationIata, this.MAX_TRANSFERS + 1);
 
-        // Step 2: Get ServicesStartingAirport2 - airports that have Starting Airport as a service
-        const servicesStartingAirport2 = this.getAirportsServingOrigin(originKey);
+        itineraries.forEach(itinerary => {
+            const segments = [];
+            for (let i = 0; i < itinerary.path.length - 1; i++) {
+                segments.push(this.getFlightDetails(itinerary.path[i], itinerary.path[i + 1]));
+            }
 
-        // Step 3: Combine into ServicesStartingAirportCombined
-        const servicesStartingAirportCombined = this.combineAirportSets(servicesStartingAirport1, servicesStartingAirport2);
+            const transferAirports = itinerary.path.slice(1, -1);
+            const via = transferAirports
+                .map(transferIata => `${this.getAirportCity(transferIata)} (${transferIata})`)
+                .join(' → ');
 
-        // Step 4-6: Get ServicesEndingAirportCombined for this destination
-        const servicesEndingAirport1 = this.getDirectServicesFromAirport(`${destination.name}, ${destination.country}`);
-        const servicesEndingAirport2 = this.getAirportsServingOrigin(`${destination.name}, ${destination.country}`);
-        const servicesEndingAirportCombined = this.combineAirportSets(servicesEndingAirport1, servicesEndingAirport2);
+            // One layover per transfer airport, between the arriving and departing legs
+            const layovers = transferAirports.map((transferIata, index) =>
+                this.getLayover(itinerary.path[index], transferIata, itinerary.path[index + 2])
+            );
+            const flightDuration = segments.reduce((total, segment) => total + segment.flight_duration_minutes, 0);
+            const layoverDuration = layovers.reduce((total, layover) => total + layover.minutes, 0);
 
-        // Check for direct flight first (always at top if available)
-        const directFlight = this.findDirectFlight(originKey, `${destination.name}, ${destination.country}`);
-        if (directFlight) {
             routes.push({
-                type: 'direct',
-                duration: directFlight.flight_duration_minutes,
-                segments: [directFlight],
+                type: transferAirports.length === 0 ? 'direct' : 'connecting',
+                duration: flightDuration + layoverDuration,
+                flightDuration: flightDuration,
+                layoverDuration: layoverDuration,
+                layovers: layovers,
+                segments: segments,
                 destination: destData,
-                transferAirport: null
+                via: transferAirports.length > 0 ? via : null,
+                transferAirport: transferAirports[0] || null,
+                transferAirports: transferAirports
             });
-        }
+        });
+
+        return routes;
+    }
+
+    sortRoutes(routes) {
+        // Calculate the ranking metrics for each route
+        routes.forEach(route => {
+            const overallVolumeFactor = this.calculateRouteVolume(route);
+            route.volumeFactor = Math.max(overallVolumeFactor, 0.1);
+            route.efficiencyRatio = route.duration / route.volumeFactor;
+            route.doorToDoorDuration = route.duration + this.getTransferMinutes(route.destination.destination_airport_iata);
+            route.airlineCount = this.countItineraryAirlines(route);
+            route.carrierCoverage = this.getCarrierCoverage(route);
+        });
 
-        // Find intersection - these are the transfer airports
-        const transferAirports = this.findIntersection(servicesStartingAirportCombined, servicesEndingAirportCombined);
+        // Restricting to through-ticketable itineraries drops connections that mix carriers
+        const eligibleRoutes = this.connectionPreference === 'only'
+            ? routes.filter(route => route.carrierCoverage.type !== 'mixed')
+            : routes;
 
-        // Debug logging
-        if (originKey === "Calgary, Canada" && destination.name === "Santiago") {
-            console.log(`DEBUG: Calgary -> Santiago`);
-            console.log(`ServicesStartingAirportCombined:`, Array.from(servicesStartingAirportCombined));
-            console.log(`ServicesEndingAirportCombined:`, Array.from(servicesEndingAirportCombined));
-            console.log(`Transfer airports found:`, Array.from(transferAirports));
+        const sortedRoutes = [...eligibleRoutes].sort((a, b) => this.compareRoutes(a, b));
+
+        return sortedRoutes.slice(0, this.MAX_ROUTES_PER_COLUMN);
+    }
+
+    // Comparator for the selected ranking strategy (negative when route a ranks higher)
+    compareRoutes(a, b) {
+        if (this.connectionPreference === 'prefer') {
+            // Same airline, then same alliance, then mixed carriers
+            const coverageOrder = { airline: 0, alliance: 1, mixed: 2 };
+            const coverageDiff = coverageOrder[a.carrierCoverage.type] - coverageOrder[b.carrierCoverage.type];
+            if (coverageDiff !== 0) {
+                return coverageDiff;
+            }
         }
 
-        // Create connecting routes for each transfer airport
-        transferAirports.forEach(transferAirportKey => {
-            // Skip if transfer airport is the same as origin or destination
-            if (transferAirportKey === originKey || transferAirportKey === `${destination.name}, ${destination.country}`) {
-                return;
+        switch (this.rankingStrategy) {
+            case 'fastest':
+                return (a.doorToDoorDuration - b.doorToDoorDuration) || (a.efficiencyRatio - b.efficiencyRatio);
+            case 'frequency':
+                return (b.volumeFactor - a.volumeFactor) || (a.duration - b.duration);
+            case 'fewest-airlines':
+                return (a.airlineCount - b.airlineCount) ||
+                    (a.segments.length - b.segments.length) ||
+                    (a.duration - b.duration);
+            case 'efficiency':
+            default: {
+                // Fewest stops first (direct, one-stop, two-stop), then by efficiency (lowest to highest)
+                return (a.segments.length - b.segments.length) || (a.efficiencyRatio - b.efficiencyRatio);
             }
+        }
+    }
 
-            // Get flight details for both legs
-            const firstLegDetails = this.getFlightDetails(originKey, transferAirportKey);
-            const secondLegDetails = this.getFlightDetails(transferAirportKey, `${destination.name}, ${destination.country}`);
-
-            if (firstLegDetails && secondLegDetails) {
-                const transferCity = transferAirportKey.split(', ')[0]; // Extract city name
-                const transferIata = this.getIataFromAirportKey(transferAirportKey);
-                const totalDuration = firstLegDetails.flight_duration_minutes + secondLegDetails.flight_duration_minutes;
-
-                routes.push({
-                    type: 'connecting',
-                    duration: totalDuration,
-                    segments: [firstLegDetails, secondLegDetails],
-                    destination: destData,
-                    via: `${transferCity} (${transferIata})`,
-                    transferAirport: transferAirportKey
-                });
+    // Fewest airlines needed to fly the whole itinerary, staying with one carrier as long as possible
+    countItineraryAirlines(route) {
+        let airlineCount = 0;
+        let currentCarriers = new Set();
+
+        route.segments.forEach(segment => {
+            const segmentCarriers = this.getSegmentCarriers(segment);
+            const sharedCarriers = segmentCarriers.filter(name => currentCarriers.has(name));
+
+            if (sharedCarriers.length > 0) {
+                currentCarriers = new Set(sharedCarriers);
+            } else {
+                airlineCount++;
+                currentCarriers = new Set(segmentCarriers);
             }
         });
 
-        // Calculate efficiency ratio for each route and sort
-        routes.forEach(route => {
-            const overallVolumeFactor = this.calculateRouteVolume(route);
-            route.volumeFactor = Math.max(overallVolumeFactor, 0.1);
-            route.efficiencyRatio = route.duration / route.volumeFactor;
-        });
+        return airlineCount;
+    }
+
+    // Whether one airline, or failing that one alliance, operates every leg of the itinerary
+    getCarrierCoverage(route) {
+        const legCarriers = route.segments.map(segment => new Set(this.getSegmentCarriers(segment)));
+
+        const sharedAirline = [...legCarriers[0]].find(name => legCarriers.every(carriers => carriers.has(name)));
+        if (sharedAirline) {
+            return { type: 'airline', name: sharedAirline };
+        }
+
+        const legAlliances = legCarriers.map(carriers => new Set(
+            [...carriers].map(name => this.allianceByAirline.get(name)).filter(Boolean)
+        ));
+        const sharedAlliance = [...legAlliances[0]].find(name => legAlliances.every(alliances => alliances.has(name)));
+        if (sharedAlliance) {
+            return { type: 'alliance', name: sharedAlliance };
+        }
+
+        return { type: 'mixed', name: null };
+    }
+
+    // Helper function: Canonical names of the carriers operating a segment
+    getSegmentCarriers(segment) {
+        return this.filterOperatingAirlines(segment.airlines).map(airline => this.getCanonicalAirline(airline.airline_name));
+    }
+
+    // Helper function: Fold airline name variants (e.g. "Delta Connection") into one carrier
+    getCanonicalAirline(airlineName) {
+        return this.airlineAliases[airlineName] || airlineName;
+    }
+
+    findItineraries(originIata, destinationIata, maxLegs) {
+        // Only airports that can still reach the destination in the remaining legs are worth expanding
+        const hopsToDestination = this.getHopsToAirport(destinationIata, maxLegs);
+        if (!hopsToDestination.has(originIata)) {
+            return [];
+        }
+
+        // Best-first search over simple paths: complete paths come off the queue shortest first
+        const queue = new RouteQueue();
+        queue.push({ cost: 0, path: [originIata] });
+        const itineraries = [];
+
+        while (queue.size > 0) {
+            const partial = queue.pop();
+            const currentIata = partial.path[partial.path.length - 1];
 
-        // Sort routes: direct flights first, then connecting flights by efficiency (lowest to highest)
-        const directFlights = routes.filter(r => r.type === 'direct');
-        const connectingFlights = routes.filter(r => r.type === 'connecting')
-            .sort((a, b) => a.efficiencyRatio - b.efficiencyRatio);
+            if (currentIata === destinationIata) {
+                itineraries.push(partial);
+                continue;
+            }
+
+            const legsLeft = maxLegs - (partial.path.length - 1);
+            const previousIata = partial.path.length > 1 ? partial.path[partial.path.length - 2] : null;
+            this.getAirportNeighbors(currentIata).forEach((leg, neighborIata) => {
+                const hops = hopsToDestination.get(neighborIata);
+                if (hops === undefined || hops > legsLeft - 1) return;
+                if (partial.path.includes(neighborIata)) return; // No revisiting airports
+                if (!this.isLegOperating(leg)) return;
+
+                // Connecting at the current airport costs a layover on top of the flight
+                const layoverMinutes = previousIata
+                    ? this.getLayover(previousIata, currentIata, neighborIata).minutes
+                    : 0;
+
+                queue.push({
+                    cost: partial.cost + layoverMinutes + leg.flight_duration_minutes,
+                    path: [...partial.path, neighborIata]
+                });
+            });
+        }
+
+        return itineraries;
+    }
 
-        const sortedRoutes = [...directFlights, ...connectingFlights];
+    // Helper function: Estimate the layover when connecting at a hub between two legs
+    getLayover(arrivalIata, hubIata, departureIata) {
+        const countries = [arrivalIata, hubIata, departureIata].map(iata => this.getCanonicalCountry(iata));
+        const type = countries.every(country => country === countries[0]) ? 'domestic' : 'international';
+
+        // A hub's own minimum connection time replaces the default estimate
+        const hubTimes = this.connectionTimes.hub_minimum_connection_minutes[hubIata];
+        const minutes = hubTimes && hubTimes[type] !== undefined
+            ? hubTimes[type]
+            : this.connectionTimes.default_layover_minutes[type];
+
+        return { airport: hubIata, minutes: minutes, type: type };
+    }
+
+    // Helper function: Country name used for domestic/international checks (spelling variants folded)
+    getCanonicalCountry(iata) {
+        const airport = this.airports.get(iata);
+        if (!airport) return null;
+        return this.connectionTimes.country_aliases[airport.country] || airport.country;
+    }
+
+    // Helper function: Breadth-first hop counts (IATA -> legs) to reach an airport over operating legs
+    getHopsToAirport(targetIata, maxHops) {
+        const hops = new Map([[targetIata, 0]]);
+        let frontier = [targetIata];
+
+        for (let depth = 1; depth <= maxHops && frontier.length > 0; depth++) {
+            const nextFrontier = [];
+            frontier.forEach(iata => {
+                this.getAirportNeighbors(iata).forEach((leg, neighborIata) => {
+                    if (!hops.has(neighborIata) && this.isLegOperating(leg)) {
+                        hops.set(neighborIata, depth);
+                        nextFrontier.push(neighborIata);
+                    }
+                });
+            });
+            frontier = nextFrontier;
+        }
 
-        return sortedRoutes.slice(0, 30);
+        return hops;
     }
 
     // Helper function: Convert IATA code to "City, Country" format
     iataToDisplayName(iata) {
-        for (const airportPair of this.flightData) {
-            if (airportPair.airport1_iata === iata) {
-                return `${airportPair.airport1_city_name}, ${airportPair.airport1_country}`;
-            }
-            if (airportPair.airport2_iata === iata) {
-                return `${airportPair.airport2_city_name}, ${airportPair.airport2_country}`;
-            }
+        const airport = this.airports.get(iata);
+        if (airport) {
+            return `${airport.city}, ${airport.country}`;
         }
         return iata; // Fallback to IATA if not found
     }
 
     // Helper function: Convert "City, Country" format to IATA code
     displayNameToIata(displayName) {
-        const [city, country] = displayName.split(', ');
-        for (const airportPair of this.flightData) {
-            if (airportPair.airport1_city_name === city && airportPair.airport1_country === country) {
-                return airportPair.airport1_iata;
-            }
-            if (airportPair.airport2_city_name === city && airportPair.airport2_country === country) {
-                return airportPair.airport2_iata;
-            }
+        const cityCodes = this.cityAirports.get(displayName);
+        if (cityCodes && cityCodes.length > 0) {
+            return cityCodes[0];
         }
         return displayName; // Fallback if not found
     }
 
-    // Helper function: Get IATA code from airport key (handles both IATA and "City, Country" formats)
-    getIataFromAirportKey(airportKey) {
-        // If it's already an IATA code (3 letters), return it
-        if (airportKey.length === 3 && airportKey.match(/^[A-Z]{3}$/)) {
-            return airportKey;
+    // Helper function: Normalize airport key (convert to IATA code, the key used by the airport graph)
+    normalizeAirportKey(key) {
+        // If it's already a known IATA code, return as is
+        if (this.airports.has(key)) {
+            return key;
         }
         // If it's in "City, Country" format, convert to IATA
-        return this.displayNameToIata(airportKey);
+        return this.displayNameToIata(key);
     }
 
-    // Helper function: Normalize airport key (convert to "City, Country" format for compatibility)
-    normalizeAirportKey(key) {
-        // If it's already in "City, Country" format, return as is
-        if (key.includes(', ')) {
-            return key;
-        }
-        // If it's an IATA code, convert to display name
-        return this.iataToDisplayName(key);
+    // Helper function: Get the city name for an airport key
+    getAirportCity(airportKey) {
+        const airport = this.airports.get(this.normalizeAirportKey(airportKey));
+        return airport ? airport.city : airportKey.split(',')[0].trim();
     }
 
     // Helper function: Get airports that a given airport serves directly (ServicesX1)
     getDirectServicesFromAirport(airportKey) {
         const services = new Set();
-        const normalizedKey = this.normalizeAirportKey(airportKey);
 
-        // In the new one-to-one structure, find all airports connected to this airport
-        this.flightData.forEach(airportPair => {
-            const airport1Key = `${airportPair.airport1_city_name}, ${airportPair.airport1_country}`;
-            const airport2Key = `${airportPair.airport2_city_name}, ${airportPair.airport2_country}`;
-
-            // If airport1 matches our target, add airport2 as a service
-            if (airport1Key === normalizedKey) {
-                services.add(airport2Key);
-            }
-            // If airport2 matches our target, add airport1 as a service
-            else if (airport2Key === normalizedKey) {
-                services.add(airport1Key);
+        // Neighbor IATA codes from the adjacency map, skipping legs nobody flies anymore
+        this.getAirportNeighbors(this.normalizeAirportKey(airportKey)).forEach((leg, neighborIata) => {
+            if (this.isLegOperating(leg)) {
+                services.add(neighborIata);
             }
         });
 
         return services;
     }
 
-    // Helper function: Get airports that have the given airport as a service (ServicesX2)
-    getAirportsServingOrigin(originKey) {
-        const services = new Set();
-        const normalizedKey = this.normalizeAirportKey(originKey);
-
-        // In the new one-to-one structure, this is the same as getDirectServicesFromAirport
-        // since the relationship is bidirectional
-        this.flightData.forEach(airportPair => {
-            const airport1Key = `${airportPair.airport1_city_name}, ${airportPair.airport1_country}`;
-            const airport2Key = `${airportPair.airport2_city_name}, ${airportPair.airport2_country}`;
+    // Helper function: Find direct flight between two airports
+    findDirectFlight(originKey, destinationKey) {
+        const originIata = this.normalizeAirportKey(originKey);
+        const destinationIata = this.normalizeAirportKey(destinationKey);
 
-            // If airport1 matches our target, add airport2 as a service
-            if (airport1Key === normalizedKey) {
-                services.add(airport2Key);
-            }
-            // If airport2 matches our target, add airport1 as a service
-            else if (airport2Key === normalizedKey) {
-                services.add(airport1Key);
-            }
-        });
+        const leg = this.getAirportNeighbors(originIata).get(destinationIata);
+        if (!leg || !this.isLegOperating(leg)) return null;
 
-        return services;
+        return this.createSegment(originIata, destinationIata, leg);
     }
 
-    // Helper function: Combine two sets of airports (union operation)
-    combineAirportSets(set1, set2) {
-        const combined = new Set();
-        set1.forEach(airport => combined.add(airport));
-        set2.forEach(airport => combined.add(airport));
-        return combined;
+    // Helper function: Check whether an airline is still flying (Current or New)
+    isAirlineOperating(airline) {
+        // Records without a status predate the field and are treated as Current
+        return !airline.status || this.OPERATING_STATUSES.includes(airline.status);
     }
 
-    // Helper function: Find intersection of two sets
-    findIntersection(set1, set2) {
-        const intersection = new Set();
-        set1.forEach(airport => {
-            if (set2.has(airport)) {
-                intersection.add(airport);
-            }
-        });
-        return intersection;
+    // Helper function: Check whether an airline's service window covers a month (0-11)
+    isAirlineServingMonth(airline, monthIndex) {
+        const startIndex = this.MONTHS.indexOf(airline.service_start_month);
+        const endIndex = this.MONTHS.indexOf(airline.service_end_month);
+
+        // Unknown months can't be checked, so assume year-round service
+        if (startIndex === -1 || endIndex === -1) {
+            return true;
+        }
+
+        if (startIndex <= endIndex) {
+            return monthIndex >= startIndex && monthIndex <= endIndex;
+        }
+        // Window wraps the year end (e.g. Nov -> Apr)
+        return monthIndex >= startIndex || monthIndex <= endIndex;
     }
 
-    // Helper function: Find direct flight between two airports
-    findDirectFlight(originKey, destinationKey) {
-        const normalizedOriginKey = this.normalizeAirportKey(originKey);
-        const normalizedDestinationKey = this.normalizeAirportKey(destinationKey);
+    // Helper function: Check an airline against the include/exclude filter panel
+    isAirlinePermitted(airline) {
+        const { mode, airlines } = this.airlineFilter;
+        // An empty selection means no filter in either mode
+        if (airlines.size === 0) {
+            return true;
+        }
 
-        // Find the airport pair that connects these two airports
-        const airportPair = this.flightData.find(pair => {
-            const airport1Key = `${pair.airport1_city_name}, ${pair.airport1_country}`;
-            const airport2Key = `${pair.airport2_city_name}, ${pair.airport2_country}`;
+        const isSelected = airlines.has(this.getCanonicalAirline(airline.airline_name));
+        return mode === 'include' ? isSelected : !isSelected;
+    }
 
-            return (airport1Key === normalizedOriginKey && airport2Key === normalizedDestinationKey) ||
-                   (airport1Key === normalizedDestinationKey && airport2Key === normalizedOriginKey);
+    // Helper function: Get the airlines that count for routing and volume
+    filterOperatingAirlines(airlines) {
+        return airlines.filter(airline => {
+            if (!this.isAirlineOperating(airline) || !this.isAirlinePermitted(airline)) {
+                return false;
+            }
+            // With a travel month selected, only carriers flying that month count
+            return this.selectedMonth === null || this.isAirlineServingMonth(airline, this.selectedMonth);
         });
+    }
 
-        if (!airportPair) return null;
-
-        // Create a flight service object compatible with the existing structure
-        const airport1Key = `${airportPair.airport1_city_name}, ${airportPair.airport1_country}`;
+    // Helper function: Check whether a leg has at least one operating carrier
+    isLegOperating(leg) {
+        return this.filterOperatingAirlines(leg.airlines).length > 0;
+    }
 
-        // Determine which airport is the origin and which is the destination
-        const isForward = airport1Key === normalizedOriginKey;
+    // Helper function: Create a flight service object compatible with the existing structure
+    createSegment(originIata, destinationIata, leg) {
+        const origin = this.airports.get(originIata);
+        const destination = this.airports.get(destinationIata);
 
         return {
-            origin_city_name: isForward ? airportPair.airport1_city_name : airportPair.airport2_city_name,
-            origin_country: isForward ? airportPair.airport1_country : airportPair.airport2_country,
-            origin_airport_iata: isForward ? airportPair.airport1_iata : airportPair.airport2_iata,
-            origin_airport_coordinates: isForward ? airportPair.airport1_coordinates : airportPair.airport2_coordinates,
-            flight_duration_minutes: airportPair.flight_duration_minutes,
-            airlines: airportPair.airlines
+            origin_city_name: origin.city,
+            origin_country: origin.country,
+            origin_airport_iata: origin.iata,
+            origin_airport_coordinates: origin.coordinates,
+            destination_city_name: destination.city,
+            destination_country: destination.country,
+            destination_airport_iata: destination.iata,
+            destination_airport_coordinates: destination.coordinates,
+            flight_duration_minutes: leg.flight_duration_minutes,
+            airlines: leg.airlines
         };
     }
 
@@ -697,114 +2233,102 @@ class FlightPathVisualizer {
         return this.findDirectFlight(originKey, destinationKey);
     }
 
-    findBidirectionalFlight(originKey, destinationKey) {
-        // In the new one-to-one structure, this is the same as findDirectFlight
-        // since bidirectional logic is already handled there
-        return this.findDirectFlight(originKey, destinationKey);
+    calculateRouteVolume(route) {
+        if (route.segments.length === 1) {
+            // For direct flights, calculate volume normally
+            return this.calculateSegmentVolume(route.segments[0]);
+        }
+
+        // For connecting flights, calculate duration-weighted average across all legs
+        // (weights exclude the shuttle portion)
+        const totalDuration = route.segments.reduce((total, segment) => total + segment.flight_duration_minutes, 0);
+
+        return route.segments.reduce((total, segment) => {
+            const weight = segment.flight_duration_minutes / totalDuration;
+            return total + (weight * this.calculateSegmentVolume(segment));
+        }, 0);
     }
 
-    combineAirlineData(airlines1, airlines2) {
-        const airlineMap = new Map();
+    calculateSegmentVolume(segment) {
+        // For a chosen travel month only that month's flights count; 7/week matches a year-round daily service
+        if (this.selectedMonth !== null) {
+            return this.getMonthlyFrequency(segment)[this.selectedMonth] / 7;
+        }
+
+        let totalVolume = 0;
 
-        // Process first set of airlines
-        airlines1.forEach(segment => {
-            segment.airlines.forEach(airline => {
-                airlineMap.set(airline.airline_name, airline);
-            });
-        });
+        this.filterOperatingAirlines(segment.airlines).forEach(airline => {
+            // Calculate months per year from the actual service window
+            const monthsPerYear = this.countServiceMonths(airline);
 
-        // Process second set of airlines and combine
-        airlines2.forEach(segment => {
-            segment.airlines.forEach(airline => {
-                if (airlineMap.has(airline.airline_name)) {
-                    const existing = airlineMap.get(airline.airline_name);
-                    // Take more conservative values
-                    airlineMap.set(airline.airline_name, {
-                        ...existing,
-                        days_per_week: Math.min(existing.days_per_week, airline.days_per_week),
-                        service_start_month: this.getMoreConservativeMonth(existing.service_start_month, airline.service_start_month, true),
-                        service_end_month: this.getMoreConservativeMonth(existing.service_end_month, airline.service_end_month, false)
-                    });
-                } else {
-                    airlineMap.set(airline.airline_name, airline);
-                }
-            });
+            const flightsPerWeek = airline.days_per_week;
+            totalVolume += (monthsPerYear * flightsPerWeek);
         });
 
-        return Array.from(airlineMap.values());
+        return totalVolume / 84; // Normalize by dividing by 84
     }
 
-    getMoreConservativeMonth(month1, month2, isStartMonth) {
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const index1 = months.indexOf(month1);
-        const index2 = months.indexOf(month2);
+    countServiceMonths(airline) {
+        const startIndex = this.MONTHS.indexOf(airline.service_start_month);
+        const endIndex = this.MONTHS.indexOf(airline.service_end_month);
 
-        if (isStartMonth) {
-            // For start month, take the later one (more conservative)
-            return months[Math.max(index1, index2)];
-        } else {
-            // For end month, take the earlier one (more conservative)
-            return months[Math.min(index1, index2)];
+        // Unknown months can't be counted, so assume year-round service
+        if (startIndex === -1 || endIndex === -1) {
+            return 12;
         }
-    }
-
-    calculateRouteVolume(route) {
-        if (route.type === 'direct') {
-            // For direct flights, calculate volume normally
-            return this.calculateSegmentVolume(route.segments[0]);
-        } else {
-            // For connecting flights, calculate duration-weighted average
-            const segment1 = route.segments[0]; // Flight 1
-            const segment2 = route.segments[1]; // Flight 2
-
-            const volume1 = this.calculateSegmentVolume(segment1);
-            const volume2 = this.calculateSegmentVolume(segment2);
-
-            const duration1 = segment1.flight_duration_minutes;
-            const duration2 = segment2.flight_duration_minutes;
-            const totalDuration = duration1 + duration2;
-
-            // Calculate duration weights (excluding shuttle portion)
-            const weight1 = duration1 / totalDuration;
-            const weight2 = duration2 / totalDuration;
-
-            // Calculate duration-weighted average volume
-            const overallVolumeFactor = (weight1 * volume1) + (weight2 * volume2);
-
-            // Debug logging for specific routes
-            if (segment1.origin_city_name === "Winnipeg" && segment2.destination_city_name === "Puerto Plata") {
-                console.log(`DEBUG: Winnipeg -> Calgary -> Puerto Plata volume calculation:`);
-                console.log(`  Flight 1 (${segment1.origin_city_name} -> ${segment1.destination_city_name}): duration=${duration1}min, volume=${volume1.toFixed(3)}, weight=${weight1.toFixed(3)}`);
-                console.log(`  Flight 2 (${segment2.origin_city_name} -> ${segment2.destination_city_name}): duration=${duration2}min, volume=${volume2.toFixed(3)}, weight=${weight2.toFixed(3)}`);
-                console.log(`  Overall volume factor: ${overallVolumeFactor.toFixed(3)}`);
-                console.log(`  Efficiency ratio: ${(duration1 + duration2) / overallVolumeFactor}`);
-            }
 
-            return overallVolumeFactor;
+        if (startIndex <= endIndex) {
+            return endIndex - startIndex + 1;
         }
+        // Window wraps the year end (e.g. Dec -> Apr is 5 months)
+        return (12 - startIndex) + endIndex + 1;
     }
 
-    calculateSegmentVolume(segment) {
-        let totalVolume = 0;
+    getMonthlyFrequency(segment) {
+        // Weekly flights in each month, summed over the operating carriers
+        // (checked month by month, independent of the selected travel month)
+        return this.MONTHS.map((month, monthIndex) => {
+            return segment.airlines
+                .filter(airline => this.isAirlineOperating(airline) && this.isAirlinePermitted(airline) && this.isAirlineServingMonth(airline, monthIndex))
+                .reduce((total, airline) => total + airline.days_per_week, 0);
+        });
+    }
 
-        segment.airlines.forEach(airline => {
-            // Calculate months per year
-            let monthsPerYear;
-            if (airline.service_start_month === 'Jan' && airline.service_end_month === 'Dec') {
-                monthsPerYear = 12;
-            } else {
-                // Simplified calculation - could be enhanced for exact month counting
-                monthsPerYear = 6; // Average seasonal operation
-            }
+    getItineraryAvailability(route) {
+        const segmentFrequencies = route.segments.map(segment => this.getMonthlyFrequency(segment));
 
-            const flightsPerWeek = airline.days_per_week;
-            totalVolume += (monthsPerYear * flightsPerWeek);
+        // A month is operable only if every leg has a carrier; the thinnest leg limits the frequency
+        return this.MONTHS.map((month, monthIndex) => {
+            let limitingIndex = 0;
+            segmentFrequencies.forEach((frequency, segmentIndex) => {
+                if (frequency[monthIndex] < segmentFrequencies[limitingIndex][monthIndex]) {
+                    limitingIndex = segmentIndex;
+                }
+            });
+
+            const weeklyFrequency = segmentFrequencies[limitingIndex][monthIndex];
+            return {
+                month: month,
+                operable: weeklyFrequency > 0,
+                weeklyFrequency: weeklyFrequency,
+                limitingSegment: route.segments[limitingIndex]
+            };
         });
+    }
 
-        return totalVolume / 84; // Normalize by dividing by 84
+    createVolumeTooltip(route) {
+        const lines = ['Weekly flights by month'];
+
+        route.segments.forEach(segment => {
+            const frequency = this.getMonthlyFrequency(segment);
+            const months = this.MONTHS.map((month, index) => `${month} ${frequency[index]}`).join(' · ');
+            lines.push(`${segment.origin_airport_iata} → ${segment.destination_airport_iata}: ${months}`);
+        });
+
+        return lines.join('\n');
     }
 
-    createVolumeIndicator(volume) {
+    createVolumeIndicator(volume, tooltip = '') {
         let fillPercentage = 0;
 
         if (volume >= 2.0) {
@@ -816,20 +2340,15 @@ class FlightPathVisualizer {
         }
 
         return `
-            <div class="volume-indicator">
+            <div class="volume-indicator" title="${tooltip}">
                 <div class="volume-fill" style="width: ${fillPercentage}%"></div>
             </div>
         `;
     }
 
     getColumnId(destinationName) {
-        const mapping = {
-            'Puerto Plata': 'puerto-plata-options',
-            'Santiago': 'santiago-options',
-            'Santo Domingo': 'santo-domingo-options',
-            'Punta Cana': 'punta-cana-options'
-        };
-        return mapping[destinationName] || destinationName.toLowerCase().replace(' ', '-') + '-options';
+        const slug = destinationName.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug}-options`;
     }
 
     populateDestinationColumn(destination, routes) {
@@ -848,12 +2367,21 @@ class FlightPathVisualizer {
             // Create button content with volume indicator
             const routeType = route.type === 'direct' ? 'Direct' : `via ${route.via}`;
             const duration = this.formatDuration(route.duration);
-            const volumeIndicator = this.createVolumeIndicator(volume);
+            const volumeIndicator = this.createVolumeIndicator(volume, this.createVolumeTooltip(route));
+
+            // Metro-area origins show which airport the route actually departs from
+            const departureRow = route.departureAirport ? `
+                    <div class="departure-row">
+                        <span class="departure-airport">from ${route.departureAirport}</span>
+                    </div>` : '';
+
+            // Connections a single airline or alliance can ticket through get a badge
+            const carrierBadge = this.createCarrierBadge(route);
 
             button.innerHTML = `
-                <div class="button-content">
+                <div class="button-content">${departureRow}
                     <div class="route-type-row">
-                        <span class="route-type">${routeType}</span>
+                        <span class="route-type">${routeType}</span>${carrierBadge}
                     </div>
                     <div class="volume-duration-row">
                         <div class="volume-section">
@@ -872,20 +2400,43 @@ class FlightPathVisualizer {
 
             column.appendChild(button);
         });
+
+        this.columnRoutes.set(destination.iata, routes.map((route, index) => ({ route, button: column.children[index] })));
+    }
+
+    createCarrierBadge(route) {
+        if (route.type !== 'connecting' || !route.carrierCoverage || route.carrierCoverage.type === 'mixed') {
+            return '';
+        }
+
+        const { type, name } = route.carrierCoverage;
+        const icon = type === 'airline' ? '✓' : '★';
+        const tooltip = type === 'airline'
+            ? `${name} flies every leg`
+            : `Every leg flown by ${name} members`;
+
+        return `<span class="carrier-badge ${type}" title="${tooltip}">${icon} ${name}</span>`;
     }
 
     autoSelectBestRoute() {
-        // Find the best route (shortest in Puerto Plata, then Santiago, etc.)
-        for (const dest of this.destinations) {
-            const columnId = this.getColumnId(dest.name);
-            const column = document.getElementById(columnId);
-            if (column && column.children.length > 0) {
-                // Trigger click on the first (shortest) option in this column
-                const firstButton = column.children[0];
-                firstButton.click();
-                return;
+        // The overview keeps the map until the visitor picks a route themselves
+        if (this.networkOverviewActive) return;
+
+        // Compare the top route of every column under the selected ranking strategy
+        let best = null;
+        for (const dest of this.getActiveDestinations()) {
+            const entries = this.columnRoutes.get(dest.iata) || [];
+            if (entries.length === 0) continue;
+
+            // Columns are already sorted, so their first entry is the column's best
+            if (!best || this.compareRoutes(entries[0].route, best.route) < 0) {
+                best = entries[0];
             }
         }
+
+        if (best) {
+            best.button.click();
+        }
     }
 
     selectRoute(route, buttonElement) {
@@ -912,109 +2463,477 @@ class FlightPathVisualizer {
         this.drawFlightPath(route);
 
         // Switch destination image
-        this.switchDestinationImage(route.destination.destination_city_name);
+        this.switchDestinationImage(route.destination.destination_airport_iata);
+
+        // Show the ground transfer on the inset map
+        this.showShuttleRoute(route.destination);
 
         // Show flight details
         this.displayFlightDetails(route);
+
+        this.updateUrlState();
+    }
+
+    updateDestinationColumnStyling(selectedDestinationName) {
+        // Get all destination column containers (the parent divs with class 'destination-column')
+        const destinationColumns = document.querySelectorAll('.destination-column');
+
+        destinationColumns.forEach(column => {
+            // Get the header text to identify which destination this column represents
+            const header = column.querySelector('.destination-header');
+            if (header) {
+                const columnDestinationName = header.textContent.trim();
+
+                // Remove existing styling classes
+                column.classList.remove('selected', 'unselected');
+
+                // Apply appropriate styling based on selection
+                if (columnDestinationName === selectedDestinationName) {
+                    column.classList.add('selected');
+                } else {
+                    column.classList.add('unselected');
+                }
+            }
+        });
+    }
+
+    updateFlightOptionsHeader(route) {
+        const optionsTitle = document.getElementById('options-title');
+        const originCity = route.segments[0].origin_city_name; // Extract city name only
+        const destCity = route.destination.destination_city_name;
+        const destIata = route.destination.destination_airport_iata;
+
+        // Routes that don't end at one of the property's airports stop at the airport
+        if (!this.isPropertyDestination(destIata)) {
+            optionsTitle.innerHTML = `${originCity} ${this.createDurationArrow(this.formatDuration(route.duration))} ${destCity}`;
+            return;
+        }
+
+        const shuttleTime = this.getTransferMinutes(destIata);
+        const totalDurationWithShuttle = route.duration + shuttleTime;
+        const totalDuration = this.formatDuration(totalDurationWithShuttle);
+
+        optionsTitle.innerHTML = `${originCity} ${this.createDurationArrow(totalDuration)} ${this.createInlineLogo()}&nbsp; <span class="via-text">via</span> ${destCity}`;
+    }
+
+    addMapFadeEffect() {
+        const worldMap = document.getElementById('world-map');
+        const destinationImage = document.getElementById('destination-image');
+
+        // Add fade-out class (instant)
+        worldMap.classList.add('fade-out');
+        if (destinationImage) {
+            destinationImage.classList.add('fade-out');
+        }
+
+        // Remove fade-out class after 0.5 seconds for gradual fade in
+        setTimeout(() => {
+            worldMap.classList.remove('fade-out');
+            if (destinationImage) {
+                destinationImage.classList.remove('fade-out');
+            }
+        }, 500);
+    }
+
+    drawFlightPath(route) {
+        this.clearRoute();
+        // A picked route replaces the network overview
+        this.hideNetworkOverview();
+
+        const segments = route.segments;
+        const markerInfos = [];
+
+        // Collect all marker information first
+        segments.forEach((segment, index) => {
+            const originCoords = this.parseCoordinates(segment.origin_airport_coordinates);
+            const icon = index === 0 ? '🛫' : '🔄';
+            const type = index === 0 ? 'origin' : 'transfer';
+            const markerInfo = this.addMarker(originCoords, segment.origin_city_name, icon, type, segment.origin_airport_iata);
+            markerInfos.push(markerInfo);
+        });
+
+        // Add final destination marker info
+        const destCoords = this.parseCoordinates(route.destination.destination_airport_coordinates);
+        const destMarkerInfo = this.addMarker(destCoords, route.destination.destination_city_name, '🛬', 'destination', route.destination.destination_airport_iata);
+        markerInfos.push(destMarkerInfo);
+
+        // Create labels with collision detection
+        this.createLabelsWithCollisionDetection(markerInfos);
+
+        // Draw paths between all segments on world map
+        this.drawRoutePaths(route);
+
+        // Airport to office connection removed per user request
+
+        // Fit world map to show route with optimized zoom
+        this.optimizeWorldMapZoom();
+
+        // Fly the plane along the new route
+        if (this.animateFlights) {
+            this.startFlightAnimation();
+        }
+        this.updateReplayButton();
+    }
+
+    // Draw one arc per flight segment in the selected path style
+    drawRoutePaths(route) {
+        const segments = route.segments;
+        this.currentSegmentPoints = [];
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const originCoords = this.parseCoordinates(segment.origin_airport_coordinates);
+
+            let destCoords;
+            if (i === segments.length - 1) {
+                // Last segment goes to final destination
+                destCoords = this.parseCoordinates(route.destination.destination_airport_coordinates);
+            } else {
+                // Intermediate segment goes to next segment's origin
+                destCoords = this.parseCoordinates(segments[i + 1].origin_airport_coordinates);
+            }
+
+            this.currentSegmentPoints.push(this.drawDirectPath(originCoords, destCoords));
+        }
+    }
+
+    startFlightAnimation() {
+        this.stopFlightAnimation();
+        if (this.currentSegmentPoints.length === 0) return;
+
+        this.planeMarker = L.marker(this.currentSegmentPoints[0][0], {
+            icon: L.divIcon({
+                html: `<div class="plane-icon">${this.createPlaneSvg()}</div>`,
+                className: 'custom-div-icon plane-marker',
+                iconSize: [22, 22],
+                iconAnchor: [11, 11]
+            }),
+            interactive: false,
+            zIndexOffset: 2000 // Fly above labels and dots
+        }).addTo(this.worldMap);
+
+        let segmentIndex = 0;
+        let segmentStart = null;
+
+        const step = (timestamp) => {
+            if (segmentStart === null) {
+                segmentStart = timestamp;
+            }
+
+            const points = this.currentSegmentPoints[segmentIndex];
+            const progress = Math.min(1, (timestamp - segmentStart) / this.PLANE_SEGMENT_MS);
+            // Ease in and out so take-off and landing read as slower
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+            this.placePlaneAlongPoints(points, eased);
+
+            if (progress < 1) {
+                this.planeAnimationFrame = requestAnimationFrame(step);
+                return;
+            }
+
+            this.planeAnimationFrame = null;
+            if (segmentIndex < this.currentSegmentPoints.length - 1) {
+                // Wait at the transfer airport before the next flight
+                this.planePauseTimeout = setTimeout(() => {
+                    this.planePauseTimeout = null;
+                    segmentIndex++;
+                    segmentStart = null;
+                    this.planeAnimationFrame = requestAnimationFrame(step);
+                }, this.PLANE_TRANSFER_PAUSE_MS);
+            }
+            // After the last segment the plane stays parked at the destination airport
+        };
+
+        this.planeAnimationFrame = requestAnimationFrame(step);
+    }
+
+    stopFlightAnimation() {
+        if (this.planeAnimationFrame) {
+            cancelAnimationFrame(this.planeAnimationFrame);
+            this.planeAnimationFrame = null;
+        }
+        if (this.planePauseTimeout) {
+            clearTimeout(this.planePauseTimeout);
+            this.planePauseTimeout = null;
+        }
+        if (this.planeMarker) {
+            this.worldMap.removeLayer(this.planeMarker);
+            this.planeMarker = null;
+        }
+    }
+
+    // Position the plane a fraction (0-1) of the way along a segment's points, nose along the path
+    placePlaneAlongPoints(points, fraction) {
+        const exactIndex = fraction * (points.length - 1);
+        const index = Math.min(points.length - 2, Math.floor(exactIndex));
+        const from = points[index];
+        const to = points[index + 1];
+        const t = exactIndex - index;
+
+        // The antimeridian cut jumps from ±180 to ∓180, so snap across it instead of sweeping the map
+        const position = Math.abs(to[1] - from[1]) > 180
+            ? to
+            : [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
+        this.planeMarker.setLatLng(position);
+
+        // Bearing in screen space, so the nose follows the drawn line rather than true north
+        const fromPoint = this.worldMap.latLngToLayerPoint(from);
+        const toPoint = this.worldMap.latLngToLayerPoint(to);
+        if (Math.abs(to[1] - from[1]) <= 180 && !fromPoint.equals(toPoint)) {
+            const bearing = Math.atan2(toPoint.x - fromPoint.x, fromPoint.y - toPoint.y) * 180 / Math.PI;
+            const planeIcon = this.planeMarker.getElement()?.querySelector('.plane-icon');
+            if (planeIcon) {
+                planeIcon.style.transform = `rotate(${bearing}deg)`;
+            }
+        }
+    }
+
+    // Top-down plane silhouette with its nose pointing up (bearing 0)
+    createPlaneSvg() {
+        return `<svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true">
+            <path d="M12 2c.8 0 1.5.9 1.5 2v5.2l7.5 4.3v2l-7.5-2.3V18l2 1.5V21L12 20l-3.5 1v-1.5l2-1.5v-4.8L3 15.5v-2l7.5-4.3V4c0-1.1.7-2 1.5-2z"/>
+        </svg>`;
+    }
+
+    showNetworkOverview() {
+        this.clearRoute();
+        this.networkOverviewActive = true;
+        this.drawNetworkOverview();
+        this.updateOverviewButton();
+
+        this.fitNetworkOverview();
+    }
+
+    fitNetworkOverview() {
+        if (this.overviewLayer && this.overviewLayer.getLayers().length > 0) {
+            this.worldMap.fitBounds(this.overviewLayer.getBounds().pad(0.05), { maxZoom: 3 });
+        }
+    }
+
+    hideNetworkOverview() {
+        if (this.overviewLayer) {
+            this.worldMap.removeLayer(this.overviewLayer);
+            this.overviewLayer = null;
+        }
+        this.networkOverviewActive = false;
+        this.updateOverviewButton();
+    }
+
+    // Draw every operating direct route into the destination airports, weighted by weekly volume
+    drawNetworkOverview() {
+        if (this.overviewLayer) {
+            this.worldMap.removeLayer(this.overviewLayer);
+        }
+        this.overviewLayer = L.featureGroup().addTo(this.worldMap);
+
+        const destinationIatas = this.destinations.map(dest => dest.iata);
+        const originAirports = new Map(); // Origin IATA -> destination airports it serves directly
+
+        this.destinations.forEach(dest => {
+            this.getAirportNeighbors(dest.iata).forEach((leg, originIata) => {
+                // Hops between the destination airports aren't routes into the region
+                if (destinationIatas.includes(originIata) || !this.isLegOperating(leg)) return;
+
+                const segment = this.createSegment(originIata, dest.iata, leg);
+                const volume = this.calculateSegmentVolume(segment);
+                const originCoords = this.airports.get(originIata).coords;
+
+                const arcPoints = this.generateGreatCirclePoints(originCoords, dest.coords, this.ARC_SAMPLE_POINTS);
+                const routeLine = L.polyline(this.splitAtAntimeridian(arcPoints), {
+                    color: 'rgb(16, 154, 72)', // --green-main
+                    // Daily year-round service (volume 1) is drawn 3px wide
+                    weight: Math.min(6, 1 + volume * 2),
+                    opacity: Math.min(0.85, 0.3 + volume * 0.25)
+                });
+                routeLine.bindTooltip(this.createOverviewTooltip(segment), { sticky: true });
+                this.overviewLayer.addLayer(routeLine);
+
+                if (!originAirports.has(originIata)) {
+                    originAirports.set(originIata, []);
+                }
+                originAirports.get(originIata).push(dest.iata);
+            });
+        });
+
+        originAirports.forEach((destinationIatas, originIata) => {
+            const airport = this.airports.get(originIata);
+            const endpoint = L.circleMarker(airport.coords, {
+                radius: 4,
+                color: 'white',
+                weight: 1,
+                fillColor: 'rgb(16, 154, 72)', // --green-main
+                fillOpacity: 1
+            });
+            endpoint.bindTooltip(`${airport.city} (${originIata}) → ${destinationIatas.join(', ')}`);
+            endpoint.on('click', () => this.selectMapOrigin(originIata));
+            this.overviewLayer.addLayer(endpoint);
+        });
+
+        this.destinations.forEach(dest => {
+            const destinationEndpoint = L.circleMarker(dest.coords, {
+                radius: 5,
+                color: 'white',
+                weight: 1,
+                fillColor: 'rgb(146, 64, 14)', // --brown-main
+                fillOpacity: 1,
+                interactive: false
+            });
+            this.overviewLayer.addLayer(destinationEndpoint);
+        });
     }
 
-    updateDestinationColumnStyling(selectedDestinationName) {
-        // Get all destination column containers (the parent divs with class 'destination-column')
-        const destinationColumns = document.querySelectorAll('.destination-column');
+    createOverviewTooltip(segment) {
+        const carriers = this.filterOperatingAirlines(segment.airlines).map(airline => {
+            const daysPerWeek = airline.days_per_week;
+            const frequencyDisplay = daysPerWeek === 7 ? 'Daily' : `${daysPerWeek}/week`;
+            return `${airline.airline_name} · ${frequencyDisplay}`;
+        });
 
-        destinationColumns.forEach(column => {
-            // Get the header text to identify which destination this column represents
-            const header = column.querySelector('.destination-header');
-            if (header) {
-                const columnDestinationName = header.textContent.trim();
+        return `<strong>${segment.origin_city_name} (${segment.origin_airport_iata}) → ${segment.destination_city_name} (${segment.destination_airport_iata})</strong><br>${carriers.join('<br>')}`;
+    }
 
-                // Remove existing styling classes
-                column.classList.remove('selected', 'unselected');
+    // Clicking an airport on the map (overview endpoint or explore marker) picks it as the origin
+    selectMapOrigin(iata) {
+        const originSelect = document.getElementById('origin-select');
+        if (!Array.from(originSelect.options).some(option => option.value === iata)) return;
 
-                // Apply appropriate styling based on selection
-                if (columnDestinationName === selectedDestinationName) {
-                    column.classList.add('selected');
-                } else {
-                    column.classList.add('unselected');
-                }
-            }
-        });
+        originSelect.value = iata;
+        this.onOriginChange();
     }
 
-    updateFlightOptionsHeader(route) {
-        const optionsTitle = document.getElementById('options-title');
-        const originCity = route.segments[0].origin_city_name; // Extract city name only
-        const destCity = route.destination.destination_city_name;
-        const shuttleTime = this.greenOfficeLocation.shuttleTimes[destCity];
-        const totalDurationWithShuttle = route.duration + shuttleTime;
-        const totalDuration = this.formatDuration(totalDurationWithShuttle);
+    enterExploreMode() {
+        this.exploreModeActive = true;
+        this.setMapInteraction(true);
+
+        this.exploreLayer = L.featureGroup().addTo(this.worldMap);
+        this.renderExploreMarkers();
+        // Clusters depend on the zoom level
+        this.worldMap.on('zoomend', this.renderExploreMarkers, this);
 
-        optionsTitle.innerHTML = `${originCity} ${this.createDurationArrow(totalDuration)} <img src="assets/logo-final-2023-05-20.svg" class="inline-logo" alt="Green Office">&nbsp; <span class="via-text">via</span> ${destCity}`;
+        this.updateExploreButton();
     }
 
-    addMapFadeEffect() {
-        const worldMap = document.getElementById('world-map');
-        const destinationImage = document.getElementById('destination-image');
+    leaveExploreMode() {
+        this.exploreModeActive = false;
+        this.setMapInteraction(false);
 
-        // Add fade-out class (instant)
-        worldMap.classList.add('fade-out');
-        if (destinationImage) {
-            destinationImage.classList.add('fade-out');
+        this.worldMap.off('zoomend', this.renderExploreMarkers, this);
+        if (this.exploreLayer) {
+            this.worldMap.removeLayer(this.exploreLayer);
+            this.exploreLayer = null;
         }
 
-        // Remove fade-out class after 0.5 seconds for gradual fade in
-        setTimeout(() => {
-            worldMap.classList.remove('fade-out');
-            if (destinationImage) {
-                destinationImage.classList.remove('fade-out');
-            }
-        }, 500);
+        // Return to the fixed, fitted view of whatever the map is showing
+        if (this.networkOverviewActive) {
+            this.fitNetworkOverview();
+        } else if (this.currentMarkers.length > 0) {
+            this.optimizeWorldMapZoom();
+        } else {
+            this.worldMap.setView([19.0, -70.0], 3);
+        }
+
+        this.updateExploreButton();
     }
 
-    drawFlightPath(route) {
-        this.clearRoute();
+    // Helper function: Switch the world map between the fixed view and free pan/zoom
+    setMapInteraction(enabled) {
+        const handlers = ['dragging', 'touchZoom', 'doubleClickZoom', 'scrollWheelZoom', 'boxZoom', 'keyboard'];
+        handlers.forEach(handler => {
+            if (enabled) {
+                this.worldMap[handler].enable();
+            } else {
+                this.worldMap[handler].disable();
+            }
+        });
 
-        const segments = route.segments;
-        const markerInfos = [];
+        if (enabled && !this.exploreZoomControl) {
+            this.exploreZoomControl = L.control.zoom({ position: 'topright' }).addTo(this.worldMap);
+        } else if (!enabled && this.exploreZoomControl) {
+            this.worldMap.removeControl(this.exploreZoomControl);
+            this.exploreZoomControl = null;
+        }
+    }
 
-        // Collect all marker information first
-        segments.forEach((segment, index) => {
-            const originCoords = this.parseCoordinates(segment.origin_airport_coordinates);
-            const icon = index === 0 ? '🛫' : '🔄';
-            const type = index === 0 ? 'origin' : 'transfer';
-            const markerInfo = this.addMarker(originCoords, segment.origin_city_name, icon, type);
-            markerInfos.push(markerInfo);
-        });
+    // Draw every origin airport, grouping ones that would overlap at the current zoom
+    renderExploreMarkers() {
+        if (!this.exploreLayer) return;
+        this.exploreLayer.clearLayers();
 
-        // Add final destination marker info
-        const destCoords = this.parseCoordinates(route.destination.destination_airport_coordinates);
-        const destMarkerInfo = this.addMarker(destCoords, route.destination.destination_city_name, '🛬', 'destination');
-        markerInfos.push(destMarkerInfo);
+        const zoom = this.worldMap.getZoom();
+        const cells = new Map(); // Screen grid cell -> airports in it
 
-        // Create labels with collision detection
-        this.createLabelsWithCollisionDetection(markerInfos);
+        // A metro area origin highlights every airport in it
+        const metroArea = this.getMetroArea(this.selectedOrigin);
+        const selectedIatas = metroArea ? metroArea.airports : [this.selectedOrigin];
 
-        // Draw paths between all segments on world map
-        for (let i = 0; i < segments.length; i++) {
-            const segment = segments[i];
-            const originCoords = this.parseCoordinates(segment.origin_airport_coordinates);
+        this.originIatas.forEach(iata => {
+            const airport = this.airports.get(iata);
+            let cellKey = iata;
+            if (zoom < this.EXPLORE_CLUSTER_MAX_ZOOM) {
+                const point = this.worldMap.project(airport.coords, zoom);
+                cellKey = `${Math.floor(point.x / this.EXPLORE_CLUSTER_CELL_PIXELS)}:${Math.floor(point.y / this.EXPLORE_CLUSTER_CELL_PIXELS)}`;
+            }
 
-            let destCoords;
-            if (i === segments.length - 1) {
-                // Last segment goes to final destination
-                destCoords = this.parseCoordinates(route.destination.destination_airport_coordinates);
-            } else {
-                // Intermediate segment goes to next segment's origin
-                destCoords = this.parseCoordinates(segments[i + 1].origin_airport_coordinates);
+            if (!cells.has(cellKey)) {
+                cells.set(cellKey, []);
+            }
+            cells.get(cellKey).push(airport);
+        });
+
+        cells.forEach(members => {
+            if (members.length === 1) {
+                const airport = members[0];
+                const marker = L.circleMarker(airport.coords, {
+                    radius: 5,
+                    color: 'white',
+                    weight: 1,
+                    fillColor: selectedIatas.includes(airport.iata) ? 'rgb(146, 64, 14)' : 'rgb(16, 154, 72)', // --brown-main / --green-main
+                    fillOpacity: 1
+                });
+                marker.bindTooltip(`${airport.city} (${airport.iata})`);
+                marker.on('click', () => this.selectMapOrigin(airport.iata));
+                this.exploreLayer.addLayer(marker);
+                return;
             }
 
-            this.drawDirectPath(originCoords, destCoords);
+            const bounds = L.latLngBounds(members.map(airport => airport.coords));
+            const cluster = L.marker(bounds.getCenter(), {
+                icon: L.divIcon({
+                    html: `<div class="explore-cluster">${members.length}</div>`,
+                    className: 'custom-div-icon',
+                    iconSize: [30, 30],
+                    iconAnchor: [15, 15]
+                }),
+                keyboard: false
+            });
+            cluster.bindTooltip(members.slice(0, 5).map(airport => airport.iata).join(', ') + (members.length > 5 ? ', …' : ''));
+            // Zooming into a cluster splits it up
+            cluster.on('click', () => this.worldMap.fitBounds(bounds.pad(0.3), { maxZoom: this.EXPLORE_CLUSTER_MAX_ZOOM }));
+            this.exploreLayer.addLayer(cluster);
+        });
+    }
+
+    updateExploreButton() {
+        const exploreButton = document.getElementById('explore-toggle');
+        if (exploreButton) {
+            exploreButton.textContent = this.exploreModeActive ? '✕ Leave explore' : '🧭 Explore map';
+            exploreButton.classList.toggle('active', this.exploreModeActive);
         }
+    }
 
-        // Airport to office connection removed per user request
+    updateOverviewButton() {
+        const overviewButton = document.getElementById('overview-toggle');
+        if (overviewButton) {
+            overviewButton.textContent = this.networkOverviewActive ? '✕ Close overview' : '🌐 Network overview';
+            // Nothing to return to until an origin has been chosen
+            overviewButton.hidden = this.networkOverviewActive && !this.selectedOrigin;
+        }
+    }
 
-        // Fit world map to show route with optimized zoom
-        this.optimizeWorldMapZoom();
+    updateReplayButton() {
+        const replayButton = document.getElementById('replay-flight');
+        if (replayButton) {
+            replayButton.hidden = !this.animateFlights || this.currentSegmentPoints.length === 0;
+        }
     }
 
 
@@ -1024,7 +2943,7 @@ class FlightPathVisualizer {
         return [lat, lng];
     }
 
-    addMarker(coords, cityName, icon, type) {
+    addMarker(coords, cityName, icon, type, iata) {
         // Add dot marker first with lower z-index to ensure it appears under labels
         const dotMarker = L.marker(coords, {
             icon: L.divIcon({
@@ -1035,14 +2954,18 @@ class FlightPathVisualizer {
             }),
             zIndexOffset: -1000 // Ensure dots appear below labels
         }).addTo(this.worldMap);
+        dotMarker.bindPopup(() => this.createAirportPopover(iata, type), { className: 'airport-popover' });
 
         // Store marker info for collision detection
         const markerInfo = {
             coords: coords,
             type: type,
             cityName: cityName,
+            iata: iata,
             icon: icon,
-            dotMarker: dotMarker
+            dotMarker: dotMarker,
+            labelMarker: null, // Placed label, moved in place on relayout
+            leaderLine: null
         };
 
         this.currentMarkers.push(dotMarker);
@@ -1051,178 +2974,255 @@ class FlightPathVisualizer {
 
 
     createLabelsWithCollisionDetection(markerInfos) {
-        const TARGET_SEPARATION = this.LABEL_SEPARATION_PIXELS; // Configurable separation distance in pixels
-
+        // New stops replace the old labels; re-placing the same stops moves their labels in place
+        if (markerInfos !== this.currentMarkerInfos) {
+            this.clearRouteLabels();
+            this.currentMarkerInfos = markerInfos;
+        }
 
+        const mapSize = this.worldMap.getSize();
+        const GAP = 5; // Pixels between a dot and an adjacent label
 
-        // Convert coordinates to screen positions for collision detection
-        const screenPositions = markerInfos.map(info => {
+        // Every dot is an obstacle, so labels never hide another stop
+        const dotBoxes = new Map(markerInfos.map(info => {
             const point = this.worldMap.latLngToContainerPoint(info.coords);
-            const result = {
-                ...info,
-                screenX: point.x,
-                screenY: point.y,
-                adjustedY: 20 // Default Y anchor
-            };
-
-            return result;
-        });
-
-        // Get map bounds for constraint checking
-        const mapSize = this.worldMap.getSize();
-        const minY = 0;
-        const maxY = mapSize.y;
-        // Sort by screen Y position for processing
-        screenPositions.sort((a, b) => a.screenY - b.screenY);
+            return [info, { x: point.x - 6, y: point.y - 6, width: 12, height: 12 }];
+        }));
 
-        // Adjust Y positions to avoid collisions
+        // Origin first, then the destination, then transfers; earlier labels get the best spots
+        const typeOrder = { origin: 0, destination: 1, transfer: 2 };
+        const placementOrder = [...markerInfos].sort((a, b) => typeOrder[a.type] - typeOrder[b.type]);
+        const placedBoxes = [];
 
-        for (let i = 0; i < screenPositions.length; i++) {
-            const current = screenPositions[i];
+        placementOrder.forEach(info => {
+            const point = this.worldMap.latLngToContainerPoint(info.coords);
+            const { width, height } = this.measureRouteLabel(info);
+            const candidates = this.getLabelCandidates(point, width, height, GAP);
+            const otherDots = [...dotBoxes].filter(([other]) => other !== info).map(([, box]) => box);
+
+            // First candidate that collides with nothing wins; otherwise the least overlapping one
+            let best = null;
+            for (const candidate of candidates) {
+                const box = { x: candidate.x, y: candidate.y, width, height };
+                const score = this.scoreLabelBox(box, placedBoxes, otherDots, mapSize);
+                if (!best || score < best.score) {
+                    best = { ...candidate, box, score };
+                }
+                if (score === 0) break;
+            }
 
-            // Skip collision detection for origin - never shift origin
-            if (current.type === 'origin') {
-                continue;
+            if (this.DEBUG_COLLISION_DETECTION) {
+                console.log(`🏷️ ${info.type} (${info.cityName}) → ${best.name}, overlap score ${best.score.toFixed(1)}`);
             }
 
-            let hasCollision = false;
-            let collidingMarkers = [];
+            placedBoxes.push(best.box);
+            this.addRouteLabel(info, point, best);
+        });
+    }
 
-            // Check collision with all previous markers
-            for (let j = 0; j < i; j++) {
-                const previous = screenPositions[j];
-                const yDiff = Math.abs(current.screenY - previous.screenY);
+    // Helper function: Candidate label boxes (top-left corners) around a dot, adjacent spots first
+    getLabelCandidates(point, width, height, gap) {
+        const { x, y } = point;
+        const candidates = [
+            { name: 'right', x: x + gap, y: y - height / 2 },
+            { name: 'left', x: x - gap - width, y: y - height / 2 },
+            { name: 'above-right', x: x + gap, y: y - height - gap },
+            { name: 'below-right', x: x + gap, y: y + gap },
+            { name: 'above-left', x: x - gap - width, y: y - height - gap },
+            { name: 'below-left', x: x - gap - width, y: y + gap },
+            { name: 'above', x: x - width / 2, y: y - height - gap },
+            { name: 'below', x: x - width / 2, y: y + gap }
+        ].map(candidate => ({ ...candidate, displaced: false }));
+
+        // Further out the label is detached from its dot and needs a leader line
+        for (let step = 1; step <= 3; step++) {
+            const distance = step * this.LABEL_SEPARATION_PIXELS;
+            candidates.push(...[
+                { name: `up-right ${step}`, x: x + gap + distance / 2, y: y - height / 2 - distance },
+                { name: `down-right ${step}`, x: x + gap + distance / 2, y: y - height / 2 + distance },
+                { name: `up-left ${step}`, x: x - gap - width - distance / 2, y: y - height / 2 - distance },
+                { name: `down-left ${step}`, x: x - gap - width - distance / 2, y: y - height / 2 + distance }
+            ].map(candidate => ({ ...candidate, displaced: true })));
+        }
 
+        return candidates;
+    }
 
+    // Helper function: Overlap with placed labels and dots, plus any part off the map (0 = clear)
+    scoreLabelBox(box, placedBoxes, dotBoxes, mapSize) {
+        const overlap = (a, b) => {
+            const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+            const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+            return width > 0 && height > 0 ? width * height : 0;
+        };
 
-                if (yDiff < TARGET_SEPARATION) {
-                    hasCollision = true;
-                    collidingMarkers.push(previous);
+        let score = 0;
+        placedBoxes.forEach(placed => { score += overlap(box, placed); });
+        dotBoxes.forEach(dot => { score += overlap(box, dot); });
 
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   ⚠️ COLLISION with ${previous.type} (${previous.cityName})!`);
-                    }
-                }
-            }
+        // Whatever falls outside the map can't be read
+        const visibleArea = overlap(box, { x: 0, y: 0, width: mapSize.x, height: mapSize.y });
+        score += box.width * box.height - visibleArea;
 
-            if (hasCollision) {
-                // Calculate needed separation (use largest collision)
-                const maxCollision = Math.max(...collidingMarkers.map(m =>
-                    TARGET_SEPARATION - Math.abs(current.screenY - m.screenY)
-                ));
+        return score;
+    }
 
-                // Determine shift options
-                const shiftUp = current.adjustedY - maxCollision;
-                const shiftDown = current.adjustedY + maxCollision;
+    // Helper function: On-screen size of a route label, measured once per city and type
+    measureRouteLabel(info) {
+        const cacheKey = `${info.type}|${info.cityName}`;
+        if (this.labelSizeCache.has(cacheKey)) {
+            return this.labelSizeCache.get(cacheKey);
+        }
 
-                if (this.DEBUG_COLLISION_DETECTION) {
-                    console.log(`   📊 Max collision needs ${maxCollision.toFixed(1)}px separation`);
-                    console.log(`   📊 Shift options: UP=${shiftUp.toFixed(1)}, DOWN=${shiftDown.toFixed(1)}`);
-                }
+        const probe = document.createElement('div');
+        probe.className = 'label-measure';
+        probe.innerHTML = this.createRouteLabelHtml(info);
+        this.worldMap.getContainer().appendChild(probe);
+        const size = {
+            // Rough fallback (about 7px per character plus the icon) when layout isn't available
+            width: probe.offsetWidth || info.cityName.length * 7 + 56,
+            height: probe.offsetHeight || 40
+        };
+        probe.remove();
 
-                // Check bounds
-                const upInBounds = (current.screenY + shiftUp) >= minY;
-                const downInBounds = (current.screenY + shiftDown) <= maxY;
+        this.labelSizeCache.set(cacheKey, size);
+        return size;
+    }
 
-                if (this.DEBUG_COLLISION_DETECTION) {
-                    console.log(`   🚧 Bounds check: UP=${upInBounds}, DOWN=${downInBounds}`);
-                }
+    createRouteLabelHtml(info) {
+        return `<div class="custom-marker ${info.type}">
+                        <span class="marker-label">${info.cityName}</span>
+                        <span class="marker-icon">${info.icon}</span>
+                    </div>`;
+    }
 
-                // Determine preferred direction based on marker type and colliding positions
-                let preferUp = false;
+    addRouteLabel(info, point, placement) {
+        const labelIcon = L.divIcon({
+            html: this.createRouteLabelHtml(info),
+            className: 'custom-div-icon',
+            iconSize: [placement.box.width, placement.box.height],
+            // The anchor is the dot's position measured from the label's top-left corner
+            iconAnchor: [point.x - placement.box.x, point.y - placement.box.y]
+        });
 
-                if (current.type === 'transfer') {
-                    // For transfer: prefer opposite direction from origin
-                    const originMarker = screenPositions.find(m => m.type === 'origin');
-                    if (originMarker) {
-                        preferUp = current.screenY > originMarker.screenY; // If transfer below origin, prefer up
+        if (info.labelMarker) {
+            // Swapping the icon keeps the marker on the map, so an open popover stays open
+            info.labelMarker.setIcon(labelIcon);
+        } else {
+            info.labelMarker = L.marker(info.coords, {
+                icon: labelIcon,
+                zIndexOffset: 1000 // Ensure labels appear above dots
+            }).addTo(this.worldMap);
+            info.labelMarker.bindPopup(() => this.createAirportPopover(info.iata, info.type), { className: 'airport-popover' });
+            this.currentLabelLayers.push(info.labelMarker);
+        }
 
-                        if (this.DEBUG_COLLISION_DETECTION) {
-                            console.log(`   🔄 Transfer logic: origin at ${originMarker.screenY.toFixed(1)}, transfer at ${current.screenY.toFixed(1)} → prefer ${preferUp ? 'UP' : 'DOWN'}`);
-                        }
-                    }
-                } else if (current.type === 'destination') {
-                    // For destination: consider all colliding markers
-                    const collidingYs = collidingMarkers.map(m => m.screenY);
-                    const offendingHighY = Math.min(...collidingYs);
-                    const offendingLowY = Math.max(...collidingYs);
-
-                    if (offendingHighY < current.screenY) {
-                        preferUp = true; // Colliding markers above, prefer up
-                    } else if (offendingLowY > current.screenY) {
-                        preferUp = false; // Colliding markers below, prefer down
-                    } else {
-                        preferUp = false; // Default to down
-                    }
+        if (!placement.displaced) {
+            if (info.leaderLine) {
+                this.worldMap.removeLayer(info.leaderLine);
+                this.currentLabelLayers = this.currentLabelLayers.filter(layer => layer !== info.leaderLine);
+                info.leaderLine = null;
+            }
+            return;
+        }
 
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   🎯 Destination logic: offending range [${offendingHighY.toFixed(1)}, ${offendingLowY.toFixed(1)}], destination at ${current.screenY.toFixed(1)} → prefer ${preferUp ? 'UP' : 'DOWN'}`);
-                    }
-                }
+        // Leader line from the dot to the nearest edge of its label
+        const { x, y, width, height } = placement.box;
+        const edgePoint = L.point(
+            Math.max(x, Math.min(point.x, x + width)),
+            Math.max(y, Math.min(point.y, y + height))
+        );
+        const leaderPoints = [info.coords, this.worldMap.containerPointToLatLng(edgePoint)];
+        if (info.leaderLine) {
+            info.leaderLine.setLatLngs(leaderPoints);
+        } else {
+            info.leaderLine = L.polyline(leaderPoints, {
+                color: 'rgb(102, 102, 102)', // --grey-main
+                weight: 1,
+                opacity: 0.8,
+                interactive: false,
+                className: 'label-leader-line'
+            }).addTo(this.worldMap);
+            this.currentLabelLayers.push(info.leaderLine);
+        }
+    }
 
-                // Apply preference with bounds override
-                const oldAdjustedY = current.adjustedY;
+    clearRouteLabels() {
+        this.currentLabelLayers.forEach(layer => this.worldMap.removeLayer(layer));
+        this.currentLabelLayers = [];
+        this.currentMarkerInfos.forEach(info => {
+            info.labelMarker = null;
+            info.leaderLine = null;
+        });
+    }
 
-                if (preferUp && upInBounds) {
-                    current.adjustedY = shiftUp;
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   ⬆️ Preferred UP direction applied: ${current.adjustedY.toFixed(1)} (was ${oldAdjustedY})`);
-                    }
-                } else if (!preferUp && downInBounds) {
-                    current.adjustedY = shiftDown;
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   ⬇️ Preferred DOWN direction applied: ${current.adjustedY.toFixed(1)} (was ${oldAdjustedY})`);
-                    }
-                } else if (upInBounds) {
-                    current.adjustedY = shiftUp;
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   ⬆️ Bounds override - only UP valid: ${current.adjustedY.toFixed(1)} (was ${oldAdjustedY})`);
-                    }
-                } else if (downInBounds) {
-                    current.adjustedY = shiftDown;
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   ⬇️ Bounds override - only DOWN valid: ${current.adjustedY.toFixed(1)} (was ${oldAdjustedY})`);
-                    }
-                } else {
-                    if (this.DEBUG_COLLISION_DETECTION) {
-                        console.log(`   🚫 No valid direction, keeping default position ${current.adjustedY}`);
-                    }
-                }
-            } else if (this.DEBUG_COLLISION_DETECTION) {
-                console.log(`   ✅ No collisions detected, keeping default Y anchor: ${current.adjustedY}`);
-            }
+    scheduleMapRelayout() {
+        if (this.resizeTimeout) {
+            clearTimeout(this.resizeTimeout);
         }
-
-        // Create label markers with adjusted positions
-        if (this.DEBUG_COLLISION_DETECTION) {
-            console.log('\n🏗️ === LABEL CREATION PHASE ===');
+        this.resizeTimeout = setTimeout(() => {
+            this.resizeTimeout = null;
+            this.relayoutMap();
+        }, this.RESIZE_DEBOUNCE_MS);
+    }
+
+    // Refit whatever the map is showing to its new size, keeping the current selection
+    relayoutMap() {
+        this.worldMap.invalidateSize({ pan: false });
+        this.insetMap.invalidateSize({ pan: false });
+        this.fitInsetMap();
+        // Breakpoints can change label font sizes
+        this.labelSizeCache.clear();
+
+        if (this.exploreModeActive) {
+            // The visitor controls the view in explore mode; only the labels need redoing
+            this.relayoutRouteLabels();
+        } else if (this.networkOverviewActive) {
+            this.fitNetworkOverview();
+        } else if (this.currentMarkers.length > 0) {
+            // The fit ends in a moveend, which re-runs label placement
+            this.optimizeWorldMapZoom();
         }
+    }
 
-        screenPositions.forEach((info, index) => {
-            if (this.DEBUG_COLLISION_DETECTION) {
-                console.log(`🏷️ Creating label ${index + 1}/${screenPositions.length}: ${info.type} (${info.cityName})`);
-                console.log(`   📍 Position: [${info.coords[0].toFixed(2)}, ${info.coords[1].toFixed(2)}]`);
-                console.log(`   📺 Screen: [${info.screenX.toFixed(1)}, ${info.screenY.toFixed(1)}]`);
-                console.log(`   ⚓ Anchor: [-5, ${info.adjustedY}]`);
-            }
+    // Re-place labels once the map has settled at a new center or zoom
+    relayoutRouteLabels() {
+        if (this.currentMarkerInfos.length > 0) {
+            this.createLabelsWithCollisionDetection(this.currentMarkerInfos);
+        }
+    }
 
-            const labelMarker = L.marker(info.coords, {
-                icon: L.divIcon({
-                    html: `<div class="custom-marker ${info.type}">
-                        <span class="marker-label">${info.cityName}</span>
-                        <span class="marker-icon">${info.icon}</span>
-                    </div>`,
-                    className: 'custom-div-icon',
-                    iconSize: [120, 40],
-                    iconAnchor: [-5, info.adjustedY]
-                }),
-                zIndexOffset: 1000 // Ensure labels appear above dots
-            }).addTo(this.worldMap);
+    // Popover for a route marker: the airport's reach, its carriers and, for hubs, the destination airports it serves
+    createAirportPopover(iata, type) {
+        const airport = this.airports.get(iata);
+        const connectedAirports = this.getDirectServicesFromAirport(iata);
 
-            this.currentMarkers.push(labelMarker);
+        const carriers = new Set();
+        this.getAirportNeighbors(iata).forEach(leg => {
+            this.filterOperatingAirlines(leg.airlines).forEach(airline => carriers.add(this.getCanonicalAirline(airline.airline_name)));
         });
+        const carrierNames = [...carriers].sort((a, b) => a.localeCompare(b));
+        const carrierList = carrierNames.length > this.MAX_POPOVER_CARRIERS
+            ? `${carrierNames.slice(0, this.MAX_POPOVER_CARRIERS).join(', ')} +${carrierNames.length - this.MAX_POPOVER_CARRIERS} more`
+            : carrierNames.join(', ');
+
+        // A hub is worth more if it also reaches the destination airports this route doesn't use
+        let destinationReachRow = '';
+        if (type === 'transfer') {
+            const routeDestination = this.selectedRoute ? this.selectedRoute.destination.destination_airport_iata : null;
+            const otherDrAirports = this.destinations
+                .filter(dest => dest.iata !== routeDestination && dest.iata !== iata && connectedAirports.has(dest.iata))
+                .map(dest => `${dest.name} (${dest.iata})`);
+            destinationReachRow = `
+                <div class="popover-row"><span class="popover-label">Other ${this.siteConfig.region.short_name} airports nonstop</span>${otherDrAirports.length > 0 ? otherDrAirports.join(', ') : 'None'}</div>`;
+        }
 
-
+        return `
+            <div class="popover-title">${airport.city} <span class="popover-iata">${iata}</span></div>
+            <div class="popover-country">${airport.country}</div>
+            <div class="popover-row"><span class="popover-label">Connected airports</span>${connectedAirports.size}</div>
+            <div class="popover-row"><span class="popover-label">Carriers (${carrierNames.length})</span>${carrierList || 'None operating'}</div>${destinationReachRow}
+        `;
     }
 
     optimizeWorldMapZoom() {
@@ -1238,6 +3238,9 @@ class FlightPathVisualizer {
             const group = new L.featureGroup(this.currentMarkers);
             const bounds = group.getBounds();
 
+            // Long-haul arcs bulge well beyond their endpoints, so fit the sampled arc too
+            this.currentArcPoints.forEach(point => bounds.extend(point));
+
             // Calculate optimal padding based on route distance
             const distance = this.calculateBoundsDistance(bounds);
             let padding = 0.15; // Default padding
@@ -1267,21 +3270,131 @@ class FlightPathVisualizer {
     }
 
     drawDirectPath(start, end) {
-        // Draw straight lines with black color (thin and dotted)
-        const path = L.polyline([start, end], {
+        const pathOptions = {
             color: '#000000',  // Black color
             weight: 1, // Thin line
             opacity: 0.5, // More subtle
-            dashArray: '3, 6' // Dotted pattern: 3px dash, 6px gap
-        }).addTo(this.worldMap);
+            dashArray: '3, 6', // Dotted pattern: 3px dash, 6px gap
+            fill: false
+        };
+
+        // Longitudes are unwrapped (may leave -180..180) so the arc stays continuous
+        let arcPoints;
+        let control = null;
+        if (this.pathStyle === 'curved') {
+            control = this.getCurveControlPoint(start, end);
+            arcPoints = this.generateCurvePoints(start, control, [end[0], start[1] + this.getLongitudeDelta(start, end)], this.ARC_SAMPLE_POINTS);
+        } else {
+            arcPoints = this.generateGreatCirclePoints(start, end, this.ARC_SAMPLE_POINTS);
+        }
+
+        const pieces = this.splitAtAntimeridian(arcPoints);
+        let path;
+        if (control && pieces.length === 1) {
+            // A single stylized arc can be drawn as a true quadratic curve
+            path = L.curve(['M', start, 'Q', control, end], pathOptions);
+        } else {
+            path = L.polyline(pieces, pathOptions);
+        }
+        path.addTo(this.worldMap);
+
+        pieces.forEach(piece => this.currentArcPoints.push(...piece));
 
         if (!this.currentPath) {
             this.currentPath = [];
         }
         this.currentPath.push(path);
+
+        // The drawn points, in map longitudes, for anything that follows the path
+        return pieces.flat();
+    }
+
+    // Helper function: Signed longitude change along the shorter way round (-180..180)
+    getLongitudeDelta(start, end) {
+        return ((end[1] - start[1] + 540) % 360) - 180;
+    }
+
+    // Sample the great-circle arc between two [lat, lng] points by spherical interpolation
+    generateGreatCirclePoints(start, end, numPoints) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const toDegrees = radians => radians * 180 / Math.PI;
+        const toVector = ([lat, lng]) => [
+            Math.cos(toRadians(lat)) * Math.cos(toRadians(lng)),
+            Math.cos(toRadians(lat)) * Math.sin(toRadians(lng)),
+            Math.sin(toRadians(lat))
+        ];
+
+        const a = toVector(start);
+        const b = toVector(end);
+        const dot = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+        const angle = Math.acos(dot);
+
+        // Coincident endpoints have no arc to sample
+        if (angle < 1e-9) {
+            return [start, end];
+        }
+
+        const points = [];
+        let previousLng = start[1];
+        for (let i = 0; i <= numPoints; i++) {
+            const t = i / numPoints;
+            const weightA = Math.sin((1 - t) * angle) / Math.sin(angle);
+            const weightB = Math.sin(t * angle) / Math.sin(angle);
+            const x = weightA * a[0] + weightB * b[0];
+            const y = weightA * a[1] + weightB * b[1];
+            const z = weightA * a[2] + weightB * b[2];
+
+            const lat = toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)));
+            let lng = toDegrees(Math.atan2(y, x));
+            // Unwrap so consecutive points never jump by a full turn
+            lng += Math.round((previousLng - lng) / 360) * 360;
+            previousLng = lng;
+            points.push([lat, lng]);
+        }
+        return points;
     }
 
+    // Control point for a stylized arc: bowed sideways from the segment midpoint
+    getCurveControlPoint(start, end) {
+        const deltaLng = this.getLongitudeDelta(start, end);
+        const deltaLat = end[0] - start[0];
+        const midLat = (start[0] + end[0]) / 2;
+        const midLng = start[1] + deltaLng / 2;
+
+        // Always bow to the north side of the segment, whichever way it is flown
+        const direction = deltaLng >= 0 ? 1 : -1;
+        const controlLat = Math.max(-85, Math.min(85, midLat + direction * deltaLng * this.CURVE_BEND));
+        const controlLng = midLng - direction * deltaLat * this.CURVE_BEND;
+        return [controlLat, controlLng];
+    }
+
+    // Split an unwrapped arc into pieces that each stay within -180..180, cutting at ±180°
+    splitAtAntimeridian(points) {
+        const pieces = [];
+        let currentPiece = [];
+        let currentOffset = null;
+
+        points.forEach(([lat, lng], index) => {
+            // Which copy of the world this point lies in (0 is -180..180)
+            const offset = Math.floor((lng + 180) / 360);
+            if (currentOffset !== null && offset !== currentOffset) {
+                // Interpolate the latitude where the arc meets the boundary between the two copies
+                const [previousLat, previousLng] = points[index - 1];
+                const boundaryLng = Math.max(offset, currentOffset) * 360 - 180;
+                const t = (boundaryLng - previousLng) / (lng - previousLng);
+                const boundaryLat = previousLat + t * (lat - previousLat);
+
+                currentPiece.push([boundaryLat, boundaryLng - currentOffset * 360]);
+                pieces.push(currentPiece);
+                currentPiece = [[boundaryLat, boundaryLng - offset * 360]];
+            }
+            currentOffset = offset;
+            currentPiece.push([lat, lng - offset * 360]);
+        });
 
+        pieces.push(currentPiece);
+        return pieces;
+    }
 
     generateCurvePoints(start, control, end, numPoints) {
         const points = [];
@@ -1309,42 +3422,140 @@ class FlightPathVisualizer {
         const detailsDiv = document.getElementById('flight-details');
         const destCity = route.destination.destination_city_name;
 
-        // Show first segment
-        const firstSegment = document.getElementById('first-segment');
-        this.populateSegmentDetails(firstSegment, route.segments[0], route.destination);
+        const travelSegments = detailsDiv.querySelector('.travel-segments');
+        const shuttleSegment = document.getElementById('shuttle-segment');
 
-        // Show second segment if connecting flight
-        const secondSegment = document.getElementById('second-segment');
-        if (route.segments.length > 1) {
-            secondSegment.style.display = 'block';
-            this.populateSegmentDetails(secondSegment, route.segments[1], route.destination);
-        } else {
-            secondSegment.style.display = 'none';
+        // Rebuild one column per flight segment, ahead of the shuttle column
+        travelSegments.querySelectorAll('.flight-segment').forEach(column => column.remove());
+        route.segments.forEach((segment, index) => {
+            const segmentColumn = document.createElement('div');
+            segmentColumn.className = 'segment-column flight-segment';
+            segmentColumn.innerHTML = `
+                <h4 class="segment-header">✈️ ${this.formatOrdinal(index + 1)} Flight</h4>
+                <div class="segment-content"></div>
+            `;
+            travelSegments.insertBefore(segmentColumn, shuttleSegment);
+            this.populateSegmentDetails(segmentColumn, segment, route.destination);
+
+            // Connecting legs end with the layover at the transfer airport
+            const layover = route.layovers[index];
+            if (layover) {
+                segmentColumn.querySelector('.segment-content').insertAdjacentHTML('beforeend', `
+                    <div class="layover-line">
+                        <span class="layover-label">⏳ Layover in ${this.getAirportCity(layover.airport)} (${layover.airport})</span>
+                        <span class="layover-duration">~${this.formatDuration(layover.minutes)} · ${layover.type}</span>
+                    </div>
+                `);
+            }
+        });
+
+        // Show the month-by-month availability of the whole itinerary
+        this.displaySeasonStrip(route);
+
+        // The ground transfer only applies when the trip ends at one of the property's airports
+        if (!this.isPropertyDestination(route.destination.destination_airport_iata)) {
+            shuttleSegment.style.display = 'none';
+            detailsDiv.style.display = 'block';
+            return;
         }
 
-        // Show shuttle segment
-        const shuttleSegment = document.getElementById('shuttle-segment');
-        const shuttleMinutes = this.greenOfficeLocation.shuttleTimes[destCity];
-        const shuttleDuration = this.formatDuration(shuttleMinutes);
+        // Show ground transfer segment with every mode offered at the arrival airport
+        const transfer = this.getGroundTransfer(route.destination.destination_airport_iata);
+        const shuttleDuration = this.formatDuration(transfer ? transfer.duration_minutes : 0);
 
+        shuttleSegment.querySelector('h4.segment-header').textContent = `${transfer ? transfer.icon : '🚐'} Ground Transfer`;
         shuttleSegment.querySelector('.segment-content').innerHTML = `
             <div class="segment-header">
-                ${destCity} ${this.createDurationArrow(shuttleDuration)} <img src="assets/logo-final-2023-05-20.svg" class="inline-logo" alt="Green Office">
+                ${destCity} ${this.createDurationArrow(shuttleDuration)} ${this.createInlineLogo()}
             </div>
             <div class="airlines-list">
-                <div class="airline-item">
-                    <span class="airline-name">🚐 Green Office Shuttle Pickup</span>
-                </div>
-                <div class="airline-item">
-                    <span class="airline-name">🚁 Helicopter Pickup (By Request)</span>
-                </div>
+                ${this.formatTransferOptions(route.destination.destination_airport_iata, transfer ? transfer.mode : null)}
             </div>
         `;
+        shuttleSegment.querySelectorAll('.transfer-option:not([disabled])').forEach(option => {
+            option.addEventListener('click', () => this.setTransferMode(option.dataset.mode));
+        });
         shuttleSegment.style.display = 'block';
 
         detailsDiv.style.display = 'block';
     }
 
+    formatTransferOptions(iata, activeMode) {
+        const options = this.groundTransfers[iata] || {};
+        const priceFormat = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: this.transferCurrency,
+            maximumFractionDigits: 0
+        });
+
+        return Object.entries(this.TRANSFER_MODES).map(([mode, { label, icon }]) => {
+            const details = options[mode];
+            if (!details) {
+                return `
+                    <button type="button" class="airline-item transfer-option unavailable" data-mode="${mode}" disabled>
+                        <span class="airline-name">${icon} ${label}</span>
+                        <span class="transfer-detail">Not offered from ${iata}</span>
+                    </button>
+                `;
+            }
+
+            const price = details.price !== undefined ? `${priceFormat.format(details.price)} ${details.price_basis || ''}` : '';
+            const leadTime = details.booking_lead_hours !== undefined ? `Book ${details.booking_lead_hours}h ahead` : '';
+
+            return `
+                <button type="button" class="airline-item transfer-option${mode === activeMode ? ' selected' : ''}" data-mode="${mode}">
+                    <span class="airline-name">${icon} ${label}</span>
+                    <span class="airline-frequency">${this.formatDuration(details.duration_minutes)}</span>
+                    ${price ? `<span class="transfer-detail">${price}</span>` : ''}
+                    ${details.schedule ? `<span class="transfer-detail">${this.formatTransferSchedule(details.schedule)}</span>` : ''}
+                    ${leadTime ? `<span class="transfer-detail">${leadTime}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+    }
+
+    formatTransferSchedule(schedule) {
+        if (schedule.type === 'scheduled') {
+            return `Departs ${schedule.departures.join(' · ')}`;
+        }
+        return schedule.window ? `On demand, ${schedule.window.from}–${schedule.window.to}` : 'On demand';
+    }
+
+    displaySeasonStrip(route) {
+        const seasonStrip = document.getElementById('season-strip');
+        if (!seasonStrip) return;
+
+        const availability = this.getItineraryAvailability(route);
+        const isConnecting = route.segments.length > 1;
+
+        const monthCells = availability.map((entry, monthIndex) => {
+            const limitingLeg = `${entry.limitingSegment.origin_airport_iata} → ${entry.limitingSegment.destination_airport_iata}`;
+            let tooltip;
+            if (!entry.operable) {
+                tooltip = `${entry.month}: no service${isConnecting ? ` on ${limitingLeg}` : ''}`;
+            } else {
+                tooltip = `${entry.month}: ${entry.weeklyFrequency}/week${isConnecting ? ` (limited by ${limitingLeg})` : ''}`;
+            }
+
+            const classes = ['season-month', entry.operable ? 'operable' : 'unavailable'];
+            if (monthIndex === this.selectedMonth) {
+                classes.push('travel-month');
+            }
+
+            return `
+                <div class="${classes.join(' ')}" title="${tooltip}">
+                    <span class="season-month-name">${entry.month}</span>
+                    <span class="season-month-frequency">${entry.operable ? entry.weeklyFrequency : '–'}</span>
+                </div>
+            `;
+        }).join('');
+
+        seasonStrip.innerHTML = `
+            <div class="season-strip-title">📅 ${isConnecting ? 'Itinerary' : 'Flight'} availability <span class="season-strip-unit">(flights/week)</span></div>
+            <div class="season-months">${monthCells}</div>
+        `;
+    }
+
     populateSegmentDetails(segmentElement, segment, finalDestination) {
         const content = segmentElement.querySelector('.segment-content');
 
@@ -1382,14 +3593,31 @@ class FlightPathVisualizer {
     }
 
     formatAirlinesList(airlines) {
-        return airlines.map(airline => {
+        // Operating carriers first; when historical service is shown, current carriers that don't fly the
+        // selected month follow, then discontinued/suspended ones
+        const operatingAirlines = this.filterOperatingAirlines(airlines);
+        const offSeasonAirlines = this.showHistoricalService && this.selectedMonth !== null
+            ? airlines.filter(airline => this.isAirlineOperating(airline) && this.isAirlinePermitted(airline) &&
+                !this.isAirlineServingMonth(airline, this.selectedMonth))
+            : [];
+        const historicalAirlines = this.showHistoricalService
+            ? airlines.filter(airline => !this.isAirlineOperating(airline) && this.isAirlinePermitted(airline))
+            : [];
+
+        return [...operatingAirlines, ...offSeasonAirlines, ...historicalAirlines].map(airline => {
             const seasonDisplay = this.getServiceMonthsWithIcons(airline.service_start_month, airline.service_end_month);
             const daysPerWeek = airline.days_per_week;
             const frequencyDisplay = daysPerWeek === 7 ? 'Daily' : `${daysPerWeek}/week`;
+            const isHistorical = !this.isAirlineOperating(airline);
+            const isOffSeason = offSeasonAirlines.includes(airline);
+            const statusBadge = isOffSeason
+                ? ` <span class="status-badge off-season">Not in ${this.MONTHS[this.selectedMonth]}</span>`
+                : this.createStatusBadge(airline.status);
+            const itemClass = isHistorical ? ' historical' : (isOffSeason ? ' off-season' : '');
 
             return `
-                <div class="airline-item">
-                    <span class="airline-name">${airline.airline_name}</span>
+                <div class="airline-item${itemClass}">
+                    <span class="airline-name">${airline.airline_name}${statusBadge}</span>
                     <span class="airline-season">${seasonDisplay}</span>
                     <span class="airline-frequency">${frequencyDisplay}</span>
                 </div>
@@ -1397,6 +3625,14 @@ class FlightPathVisualizer {
         }).join('');
     }
 
+    createStatusBadge(status) {
+        // Current service needs no badge
+        if (!status || status === 'Current') {
+            return '';
+        }
+        return ` <span class="status-badge ${status.toLowerCase()}">${status}</span>`;
+    }
+
     getServiceMonthsWithIcons(startMonth, endMonth) {
         if (startMonth === 'Jan' && endMonth === 'Dec') {
             return `<span class="calendar-icon">📅</span><span class="month-text">All Year</span>`;
@@ -1427,6 +3663,13 @@ class FlightPathVisualizer {
         return `${startMonth} - ${endMonth}`;
     }
 
+    formatOrdinal(number) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const lastTwoDigits = number % 100;
+        const suffix = (lastTwoDigits >= 11 && lastTwoDigits <= 13) ? 'th' : (suffixes[number % 10] || 'th');
+        return `${number}${suffix}`;
+    }
+
     formatDuration(minutes) {
         const hours = Math.floor(minutes / 60);
         const mins = minutes % 60;
@@ -1460,8 +3703,8 @@ class FlightPathVisualizer {
         detailsDiv.style.display = 'none';
     }
 
-    clearRoute() {
-        // Remove current paths from world map
+    // Remove the flight arcs from the world map
+    clearRoutePaths() {
         if (this.currentPath) {
             if (Array.isArray(this.currentPath)) {
                 this.currentPath.forEach(path => this.worldMap.removeLayer(path));
@@ -1470,12 +3713,23 @@ class FlightPathVisualizer {
             }
             this.currentPath = null;
         }
+        this.currentArcPoints = [];
+        this.currentSegmentPoints = [];
+    }
+
+    clearRoute() {
+        // Remove current paths from world map
+        this.clearRoutePaths();
+        this.stopFlightAnimation();
+        this.updateReplayButton();
 
         // Remove markers from world map
         this.currentMarkers.forEach(marker => {
             this.worldMap.removeLayer(marker);
         });
         this.currentMarkers = [];
+        this.clearRouteLabels();
+        this.currentMarkerInfos = [];
 
         // Clear shuttle lines
         this.clearShuttleLines();